@@ -1,34 +1,190 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
 import './RadarLabeler.css';
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 const KEY_PAN_STEP = 40;
+const NUDGE_STEP = 1;                 // image px per arrow key press
+const NUDGE_STEP_LARGE = 10;          // with Shift
 const DEFAULT_BBOX_SIZE = 80;
 const MIN_BBOX_SIDE = 5;
+const MIN_POLYGON_VERTICES = 3;
+const MIN_POLYLINE_VERTICES = 2;
+const VERTEX_HIT_RADIUS = 8;
+const OBB_DEFAULT_BEAM_RATIO = 0.3;   // beam as a fraction of dragged length
+const ROTATE_HANDLE_OFFSET = 24;      // screen px beyond the bow
 const CLICK_DRAG_THRESHOLD = 5;
 const ZOOM_MIN = 0.2;
 const ZOOM_MAX = 32;
-const ROTATION_MIN = -10;
-const ROTATION_MAX = 10;
+const ROTATION_MIN = -180;
+const ROTATION_MAX = 180;
+const ROTATION_SCORE_WARN = 0.5;  // estimated rotations scoring below this are flagged
+const POLAR_RANGE_ROWS = 'y';     // B-scope range axis: range grows down the rows...
+const POLAR_RANGE_COLUMNS = 'x';  // ...or along the columns, azimuth along the other axis
+const POLAR_DEFAULTS = { rangeAxis: POLAR_RANGE_ROWS, rangePerPixel: 1, azimuthOrigin: 0 };
+const POLAR_MAX_SIDE = 4096;      // px, longest side of a scan-converted image
+const SCAN_CACHE_SIZE = 8;        // scan-converted images kept in memory
+const GEOREF_RADAR = 'radar';     // radar lat/lon, meters per pixel and north offset
+const GEOREF_GCP = 'gcp';         // ground control points
+const GEOREF_MIN_GCPS = 3;
+const GEOREF_PROJECT = 'project'; // georeference targets: the scene, or one frame's image
+const GEOREF_FRAME = 'frame';
+const EARTH_RADIUS_M = 6371008.8;
+const PROJECT_VERSION = 2;      // 2: frames have dx, dy and pivot besides rotationDeg
 const SAVE_DEBOUNCE_MS = 400;
+const SNAP_RADIUS_DEFAULT = 6;  // image px
+const SNAP_RADIUS_MAX = 50;
+const WAND_TOLERANCE_DEFAULT = 60;     // intensity levels below the seed still in the region
+const WAND_SEED_RADIUS = 3;            // image px searched for the brightest seed pixel
+const WAND_MAX_PIXELS = 250000;        // larger regions are treated as leaks into the background
+const MATCH_THRESHOLD_DEFAULT = 0.6;   // propagation stops below this normalized cross-correlation
+const MATCH_SEARCH_RADIUS = 24;        // image px searched around the predicted position
+const MATCH_RADIUS_MAX = 100;
+const HISTORY_LIMIT = 100;      // undo steps kept in memory
+const HISTORY_MERGE_MS = 1000;  // repeated edits of the same thing within this window merge
 
 const TOOL_SELECT = 'select';
 const TOOL_PAN = 'pan';
-const TOOL_BOAT_POINT = 'boat_point';
-const TOOL_BOAT_BOX = 'boat_box';
-const TOOL_BUOY_POINT = 'buoy_point';
-const TOOL_BUOY_BOX = 'buoy_box';
+// Drawing tools are generated from the project's class schema: "draw:<classId>:<geometry>"
+const TOOL_DRAW_PREFIX = 'draw';
 
-const LABEL_BOAT = 'boat';
-const LABEL_BUOY = 'buoy';
+const ARROW_DIRECTIONS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+};
 
 const ANNOTATION_POINT = 'point';
 const ANNOTATION_BBOX = 'bbox';
+const ANNOTATION_POLYGON = 'polygon';
+const ANNOTATION_POLYLINE = 'polyline';  // open curve: wakes, shorelines, interference streaks
+const ANNOTATION_OBB = 'obb';         // oriented box: x/y is the center, angle is the heading
+
+const GEOMETRY_TYPES = [ANNOTATION_POINT, ANNOTATION_BBOX, ANNOTATION_OBB, ANNOTATION_POLYGON, ANNOTATION_POLYLINE];
+const VERTEX_GEOMETRIES = [ANNOTATION_POLYGON, ANNOTATION_POLYLINE];
+const GEOMETRY_NAMES = {
+  [ANNOTATION_POINT]: 'Point',
+  [ANNOTATION_BBOX]: 'Box',
+  [ANNOTATION_OBB]: 'Oriented Box',
+  [ANNOTATION_POLYGON]: 'Polygon',
+  [ANNOTATION_POLYLINE]: 'Polyline',
+};
+
+// Class scope: per-frame annotations rotate with the frame, global ones are
+// stored once in project.globalBuoys in non-rotated space
+const SCOPE_FRAME = 'frame';
+const SCOPE_GLOBAL = 'global';
+
+// Per-class attribute field types, edited in the properties inspector
+const ATTR_ENUM = 'enum';
+const ATTR_BOOLEAN = 'boolean';
+const ATTR_NUMBER = 'number';
+const ATTR_TEXT = 'text';
+const ATTR_TYPES = [ATTR_ENUM, ATTR_BOOLEAN, ATTR_NUMBER, ATTR_TEXT];
+
+const DEFAULT_CLASSES = [
+  {
+    id: 'boat',
+    name: 'Boat',
+    color: '#22dd22',                // green
+    hotkey: '1',
+    geometries: [ANNOTATION_POINT, ANNOTATION_BBOX, ANNOTATION_OBB, ANNOTATION_POLYGON],
+    scope: SCOPE_FRAME,
+    attributes: [
+      { id: 'occluded', name: 'Occluded', type: ATTR_BOOLEAN },
+      { id: 'truncated', name: 'Truncated', type: ATTR_BOOLEAN },
+      { id: 'confidence', name: 'Confidence', type: ATTR_NUMBER },
+      { id: 'notes', name: 'Notes', type: ATTR_TEXT },
+    ],
+  },
+  {
+    id: 'buoy',
+    name: 'Buoy',
+    color: '#00dddd',                // cyan
+    hotkey: '2',
+    geometries: [ANNOTATION_POINT, ANNOTATION_BBOX, ANNOTATION_POLYGON],
+    scope: SCOPE_GLOBAL,
+    attributes: [{ id: 'notes', name: 'Notes', type: ATTR_TEXT }],
+  },
+  {
+    id: 'wake',
+    name: 'Wake',
+    color: '#ffffff',
+    hotkey: '3',
+    geometries: [ANNOTATION_POLYLINE],
+    scope: SCOPE_FRAME,
+    attributes: [],
+  },
+  {
+    id: 'shoreline',
+    name: 'Shoreline',
+    color: '#cc9955',                // tan
+    hotkey: '4',
+    geometries: [ANNOTATION_POLYLINE, ANNOTATION_POLYGON],
+    scope: SCOPE_GLOBAL,
+    attributes: [],
+  },
+];
+
+const COLOR_UNKNOWN_CLASS = '#aaaaaa';
+const TRACK_COLORS = ['#ff5555', '#ffdd33', '#55aaff', '#ff88ff', '#88ff88', '#ff9933', '#aa88ff', '#33ffcc'];
+const TRACK_NEW = 'new';
+
+// Layers: 'frame' and 'global' annotation layers plus one layer per class ('class:<id>')
+const LAYER_DEFAULTS = { visible: true, locked: false, opacity: 1 };
+
+// Review status of annotations and frames; a missing reviewStatus means unreviewed
+const REVIEW_UNREVIEWED = 'unreviewed';
+const REVIEW_ACCEPTED = 'accepted';
+const REVIEW_REJECTED = 'rejected';
+const REVIEW_NEEDS_FIX = 'needs-fix';
+const REVIEW_STATUSES = [REVIEW_UNREVIEWED, REVIEW_ACCEPTED, REVIEW_REJECTED, REVIEW_NEEDS_FIX];
+const REVIEW_STYLES = {
+  [REVIEW_UNREVIEWED]: { name: 'Unreviewed', color: '#888888', badge: '?' },
+  [REVIEW_ACCEPTED]: { name: 'Accepted', color: '#22dd22', badge: '✓' },
+  [REVIEW_REJECTED]: { name: 'Rejected', color: '#ff4444', badge: '✗' },
+  [REVIEW_NEEDS_FIX]: { name: 'Needs fix', color: '#ffdd00', badge: '!' },
+};
+// Single-key review actions in review mode
+const REVIEW_KEYS = { y: REVIEW_ACCEPTED, r: REVIEW_REJECTED, f: REVIEW_NEEDS_FIX, u: REVIEW_UNREVIEWED };
+const REVIEW_SKIP_KEY = 's';
+
+// Keys already bound to commands, including the review mode ones; class hotkeys may not use them
+const RESERVED_KEYS = new Set([
+  'n', 'd', 'p', 'a', 't', '+', '=', '-', '_', '[', ']', ' ',
+  ...Object.keys(REVIEW_KEYS),
+  REVIEW_SKIP_KEY,
+]);
+const REVIEW_ITEM_FRAME = 'whole-frame';   // review queue entry for a frame itself
+
+// Point snapping targets
+const SNAP_PEAK = 'peak';
+const SNAP_CENTROID = 'centroid';
+
+// Detector suggestions: kept per frame outside the project until accepted
+const SUGGEST_CFAR = 'cfar';
+const SUGGEST_MOTION = 'motion';
+const SUGGEST_MODEL = 'model';
+const SUGGESTION_STYLES = {
+  [SUGGEST_CFAR]: { name: 'CFAR', color: '#ff44ff', unit: ' dB', digits: 1 },
+  [SUGGEST_MOTION]: { name: 'Motion', color: '#44ddff', unit: ' Δ', digits: 1 },
+  [SUGGEST_MODEL]: { name: 'Model', color: '#ffee44', unit: '', digits: 2 },
+};
+const CFAR_CA = 'ca';
+const CFAR_OS = 'os';
+const CFAR_DEFAULTS = { method: CFAR_CA, guard: 2, train: 8, pfa: 1e-4, minArea: 4 };
+const CFAR_WINDOW_MAX = 32;        // guard/training cells per side
+const CFAR_PFA_OPTIONS = [1e-2, 1e-3, 1e-4, 1e-5, 1e-6, 1e-7, 1e-8];
+const MOTION_DEFAULTS = { threshold: 40, radius: 1, minArea: 4 };  // intensity levels, morphology px, px
+const MOTION_RADIUS_MAX = 5;
+// ONNX model input and output decoding; threshold filters the suggestions shown
+const MODEL_DEFAULTS = { size: 640, iou: 0.45, threshold: 0.25, objectness: false, classMap: '' };
+const MODEL_SIZE_MAX = 2048;
+const LAYER_SUGGESTIONS = 'suggestions';
+const SUGGESTION_HIT_SLOP = 4;     // screen px around small candidates
 
-const COLOR_BOAT = '#22dd22';      // green
-const COLOR_BUOY = '#00dddd';      // cyan
 const COLOR_SELECTED = '#ffaa00';  // amber/orange
 const COLOR_TEXT = '#ffaa00';      // orange for labels
 
@@ -50,16 +206,107 @@ function naturalSort(arr) {
 
 function createDefaultProject() {
   return {
-    version: 1,
+    version: PROJECT_VERSION,
     createdAt: new Date().toISOString(),
     viewport: { zoom: 1, panX: 0, panY: 0 },
     currentIndex: 0,
     frames: [],
     globalBuoys: [],
+    tracks: [],             // [{ id, color }]; frame annotations reference them by trackId
+    nextTrackId: 1,
+    classes: structuredClone(DEFAULT_CLASSES),
+    layers: {},             // { [layerKey]: { visible?, locked?, opacity? } }
   };
 }
 
-function createAnnotation(type, label, x, y, w = 0, h = 0) {
+// A new frame for a decoded image. Frame names need not be unique, so the id
+// is what tells frames apart (e.g. for detector suggestions).
+function createFrame(image) {
+  return { ...image, id: generateId(), rotationDeg: 0, dx: 0, dy: 0, annotations: [] };
+}
+
+// Why a parsed project file cannot be loaded, or null if it can. Files written
+// by a newer version may hold fields this one would drop on save.
+function projectFileError(proj) {
+  if (!proj?.version || !Array.isArray(proj.frames)) return 'Invalid project file format';
+  if (proj.version > PROJECT_VERSION) {
+    return `Project file version ${proj.version} is newer than this app supports (${PROJECT_VERSION})`;
+  }
+  return null;
+}
+
+// Fill in fields added since a project file was written. Version 2 added the
+// frame shift (dx, dy) and pivot; version-1 frames only have rotationDeg.
+function normalizeProject(proj) {
+  return {
+    ...proj,
+    frames: Array.isArray(proj.frames)
+      ? proj.frames.map((f) => ({ dx: 0, dy: 0, ...f, id: f.id || generateId() }))
+      : proj.frames,
+    globalBuoys: proj.globalBuoys || [],
+    tracks: proj.tracks || [],
+    nextTrackId: proj.nextTrackId || Math.max(0, ...(proj.tracks || []).map((t) => t.id)) + 1,
+    classes:
+      Array.isArray(proj.classes) && proj.classes.length > 0
+        ? proj.classes.map((c) => ({ ...c, attributes: c.attributes || [] }))
+        : structuredClone(DEFAULT_CLASSES),
+    layers: proj.layers || {},
+    version: PROJECT_VERSION,
+  };
+}
+
+function classLayerKey(classId) {
+  return `class:${classId}`;
+}
+
+function getLayer(layers, key) {
+  return { ...LAYER_DEFAULTS, ...layers?.[key] };
+}
+
+// Effective layer state of an annotation: its frame/global layer combined with its class layer
+function getAnnotationLayer(layers, ann, isGlobal) {
+  const layer = getLayer(layers, isGlobal ? 'global' : 'frame');
+  const cls = getLayer(layers, classLayerKey(ann.label));
+  return {
+    visible: layer.visible && cls.visible,
+    locked: layer.locked || cls.locked,
+    opacity: layer.opacity * cls.opacity,
+  };
+}
+
+// Hidden and locked annotations cannot be selected or edited
+function isAnnotationEditable(layers, ann, isGlobal) {
+  const { visible, locked } = getAnnotationLayer(layers, ann, isGlobal);
+  return visible && !locked;
+}
+
+// Keyboard shortcuts are ignored while typing into sidebar fields
+function isTextEntryTarget(target) {
+  const tag = target?.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+}
+
+function makeDrawTool(classId, geometry) {
+  return `${TOOL_DRAW_PREFIX}:${classId}:${geometry}`;
+}
+
+// Returns { classId, geometry } for drawing tools, null for select/pan
+function parseDrawTool(tool) {
+  if (typeof tool !== 'string' || !tool.startsWith(`${TOOL_DRAW_PREFIX}:`)) return null;
+  const [, classId, geometry] = tool.split(':');
+  return { classId, geometry };
+}
+
+// Short stable id derived from a display name, unique among `existing` ({ id } objects)
+function makeSlugId(name, existing, fallback = 'class') {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || fallback;
+  let id = base;
+  let n = 2;
+  while (existing.some((c) => c.id === id)) id = `${base}_${n++}`;
+  return id;
+}
+
+function createAnnotation(type, label, x, y, w = 0, h = 0, angle = 0) {
   const ann = {
     id: generateId(),
     type,
@@ -67,19 +314,319 @@ function createAnnotation(type, label, x, y, w = 0, h = 0) {
     x,
     y,
   };
-  if (type === ANNOTATION_BBOX) {
+  if (type === ANNOTATION_BBOX || type === ANNOTATION_OBB) {
     ann.w = w;
     ann.h = h;
   }
+  if (type === ANNOTATION_OBB) {
+    ann.angle = angle;
+  }
   return ann;
 }
 
+// Polygons and polylines are stored as a vertex list instead of x/y
+function createPolygonAnnotation(label, points, type = ANNOTATION_POLYGON) {
+  return {
+    id: generateId(),
+    type,
+    label,
+    points: points.map(({ x, y }) => ({ x, y })),
+  };
+}
+
+function hasVertices(ann) {
+  return VERTEX_GEOMETRIES.includes(ann.type);
+}
+
+function getMinVertices(type) {
+  return type === ANNOTATION_POLYLINE ? MIN_POLYLINE_VERTICES : MIN_POLYGON_VERTICES;
+}
+
+// Reference point used for labels: top-left for boxes, first vertex for polygons
+function getAnnotationAnchor(ann) {
+  if (hasVertices(ann)) return ann.points[0];
+  return { x: ann.x, y: ann.y };
+}
+
+function distanceToSegment(px, py, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lenSq = dx * dx + dy * dy;
+  const t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lenSq));
+  return Math.hypot(px - (a.x + t * dx), py - (a.y + t * dy));
+}
+
+function distanceToPolyline(px, py, points) {
+  let best = Infinity;
+  for (let i = 0; i < points.length - 1; i++) {
+    best = Math.min(best, distanceToSegment(px, py, points[i], points[i + 1]));
+  }
+  return best;
+}
+
+// Ray-casting test; points are {x, y} vertices in order, implicitly closed
+function pointInPolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function translateAnnotation(ann, dx, dy) {
+  if (hasVertices(ann)) {
+    return { ...ann, points: ann.points.map((p) => ({ x: p.x + dx, y: p.y + dy })) };
+  }
+  return { ...ann, x: ann.x + dx, y: ann.y + dy };
+}
+
+// Outline in the annotation's own space, used for rubber-band selection
+function getAnnotationOutline(ann) {
+  if (hasVertices(ann)) return ann.points;
+  if (ann.type === ANNOTATION_OBB) return getObbCorners(ann);
+  if (ann.type === ANNOTATION_BBOX) {
+    return [
+      { x: ann.x, y: ann.y },
+      { x: ann.x + ann.w, y: ann.y },
+      { x: ann.x + ann.w, y: ann.y + ann.h },
+      { x: ann.x, y: ann.y + ann.h },
+    ];
+  }
+  return [{ x: ann.x, y: ann.y }];
+}
+
+// Reference point of an annotation: x/y for points and oriented boxes, the box
+// center, or the vertex centroid
+function getAnnotationCenter(ann) {
+  if (ann.type === ANNOTATION_BBOX) return { x: ann.x + ann.w / 2, y: ann.y + ann.h / 2 };
+  return getSceneCenter(ann);
+}
+
+// Global annotations can be limited to a frame range (firstFrame/lastFrame,
+// inclusive) and carry per-frame overrides in frameOverrides[frameIndex]:
+// { hidden: true } or an offset { dx, dy } added to the shared geometry.
+function isGlobalInFrameRange(ann, frameIndex) {
+  return (ann.firstFrame == null || frameIndex >= ann.firstFrame) && (ann.lastFrame == null || frameIndex <= ann.lastFrame);
+}
+
+function getGlobalOffset(ann, frameIndex) {
+  const override = ann.frameOverrides?.[frameIndex];
+  return { dx: override?.dx || 0, dy: override?.dy || 0 };
+}
+
+// The global annotation as it appears on one frame, or null if it is not there
+function resolveGlobalAnnotation(ann, frameIndex) {
+  if (!isGlobalInFrameRange(ann, frameIndex)) return null;
+  const override = ann.frameOverrides?.[frameIndex];
+  if (!override) return ann;
+  if (override.hidden) return null;
+  return translateAnnotation(ann, override.dx || 0, override.dy || 0);
+}
+
+function resolveGlobalAnnotations(globals, frameIndex) {
+  return globals.map((ann) => resolveGlobalAnnotation(ann, frameIndex)).filter(Boolean);
+}
+
+// Copy with the override for one frame updated; overrides that no longer change anything are dropped
+function withFrameOverride(ann, frameIndex, updates) {
+  const override = { ...ann.frameOverrides?.[frameIndex], ...updates };
+  for (const key of ['hidden', 'dx', 'dy']) {
+    if (!override[key]) delete override[key];
+  }
+  const frameOverrides = { ...ann.frameOverrides };
+  if (Object.keys(override).length > 0) frameOverrides[frameIndex] = override;
+  else delete frameOverrides[frameIndex];
+  const { frameOverrides: _old, ...rest } = ann;
+  return Object.keys(frameOverrides).length > 0 ? { ...rest, frameOverrides } : rest;
+}
+
+// Moves frame indices of a global annotation after frames were reordered
+// (newIndexOf[oldIndex] = newIndex). A frame range becomes the smallest range
+// covering its frames' new positions.
+function remapGlobalFrames(ann, newIndexOf) {
+  if (!ann.frameOverrides && ann.firstFrame == null && ann.lastFrame == null) return ann;
+  const result = { ...ann };
+  if (ann.frameOverrides) {
+    result.frameOverrides = Object.fromEntries(
+      Object.entries(ann.frameOverrides).map(([i, override]) => [newIndexOf[i], override])
+    );
+  }
+  if (ann.firstFrame != null || ann.lastFrame != null) {
+    const first = ann.firstFrame ?? 0;
+    const last = Math.min(ann.lastFrame ?? newIndexOf.length - 1, newIndexOf.length - 1);
+    const mapped = newIndexOf.slice(first, last + 1);
+    if (mapped.length > 0) {
+      result.firstFrame = Math.min(...mapped);
+      result.lastFrame = Math.max(...mapped);
+    }
+  }
+  return result;
+}
+
+// Copy of an attribute map with one value set; empty values remove the key
+function withAttribute(attributes, attrId, value) {
+  const result = { ...(attributes || {}) };
+  if (value === '' || value === null || value === undefined || Number.isNaN(value)) {
+    delete result[attrId];
+  } else {
+    result[attrId] = value;
+  }
+  return result;
+}
+
+// Enum options typed as a comma separated list, without empty or repeated entries
+function parseEnumOptions(text) {
+  return [...new Set(text.split(',').map((o) => o.trim()).filter(Boolean))];
+}
+
+// New {x, y, w, h} for an axis-aligned box dragged by one of its eight handles
+// ('nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w') to (px, py). Edges never cross:
+// each side is clamped to MIN_BBOX_SIDE.
+function resizeBox(orig, handle, px, py, { keepAspect = false, fromCenter = false } = {}) {
+  const cx = orig.x + orig.w / 2;
+  const cy = orig.y + orig.h / 2;
+  const movesX = handle.includes('e') || handle.includes('w');
+  const movesY = handle.includes('n') || handle.includes('s');
+  const signX = handle.includes('e') ? 1 : -1;
+  const signY = handle.includes('s') ? 1 : -1;
+
+  // Fixed reference: the opposite edge, or the center when resizing from the center
+  const anchorX = fromCenter ? cx : signX > 0 ? orig.x : orig.x + orig.w;
+  const anchorY = fromCenter ? cy : signY > 0 ? orig.y : orig.y + orig.h;
+  const scale = fromCenter ? 2 : 1;
+
+  let w = movesX ? Math.max(MIN_BBOX_SIDE, (px - anchorX) * signX * scale) : orig.w;
+  let h = movesY ? Math.max(MIN_BBOX_SIDE, (py - anchorY) * signY * scale) : orig.h;
+
+  if (keepAspect && orig.w > 0 && orig.h > 0) {
+    const ratio = orig.w / orig.h;
+    if (movesX && movesY) {
+      // Corner: follow whichever side grew proportionally more
+      if (w / orig.w > h / orig.h) h = w / ratio;
+      else w = h * ratio;
+    } else if (movesX) {
+      h = w / ratio;
+    } else {
+      w = h * ratio;
+    }
+    w = Math.max(MIN_BBOX_SIDE, w);
+    h = Math.max(MIN_BBOX_SIDE, h);
+  }
+
+  // Place the box against its anchor; sides that are not dragged stay centered
+  let x;
+  if (fromCenter || !movesX) x = cx - w / 2;
+  else x = signX > 0 ? anchorX : anchorX - w;
+  let y;
+  if (fromCenter || !movesY) y = cy - h / 2;
+  else y = signY > 0 ? anchorY : anchorY - h;
+
+  return { x, y, w, h };
+}
+
+function normalizeAngle(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+// Frame rotations are kept in ROTATION_MIN..ROTATION_MAX (-180°..180°)
+function normalizeRotation(deg) {
+  if (deg >= ROTATION_MIN && deg < ROTATION_MAX) return deg;
+  return normalizeAngle(deg - ROTATION_MIN) + ROTATION_MIN;
+}
+
+// Oriented boxes: w is the beam, h the length along the heading. The angle is
+// degrees clockwise from image-up in the annotation's own space (the frame
+// image for boats), so the on-screen heading is angle + rotationDeg.
+function getObbAxes(ann) {
+  const rad = (ann.angle * Math.PI) / 180;
+  return {
+    fwd: { x: Math.sin(rad), y: -Math.cos(rad) },
+    right: { x: Math.cos(rad), y: Math.sin(rad) },
+  };
+}
+
+function getObbCorners(ann) {
+  const { fwd, right } = getObbAxes(ann);
+  const hl = ann.h / 2;
+  const hb = ann.w / 2;
+  return [
+    [hl, -hb],
+    [hl, hb],
+    [-hl, hb],
+    [-hl, -hb],
+  ].map(([f, r]) => ({
+    x: ann.x + fwd.x * f + right.x * r,
+    y: ann.y + fwd.y * f + right.y * r,
+  }));
+}
+
+function pointInObb(x, y, ann) {
+  const { fwd, right } = getObbAxes(ann);
+  const dx = x - ann.x;
+  const dy = y - ann.y;
+  const along = dx * fwd.x + dy * fwd.y;
+  const across = dx * right.x + dy * right.y;
+  return Math.abs(along) <= ann.h / 2 && Math.abs(across) <= ann.w / 2;
+}
+
+function getHeadingDeg(ann, rotationDeg) {
+  return normalizeAngle(ann.angle + rotationDeg);
+}
+
+// Edge midpoints plus a rotation handle out past the bow, in screen space
+function getObbScreenHandles(ann, trans) {
+  const { fwd, right } = getObbAxes(ann);
+  const at = (f, r) =>
+    trans.imageToScreen(ann.x + fwd.x * f + right.x * r, ann.y + fwd.y * f + right.y * r);
+  const bow = at(ann.h / 2, 0);
+  const center = trans.imageToScreen(ann.x, ann.y);
+  const len = Math.hypot(bow.x - center.x, bow.y - center.y) || 1;
+  const handles = [
+    { name: 'bow', ...bow },
+    { name: 'stern', ...at(-ann.h / 2, 0) },
+    { name: 'starboard', ...at(0, ann.w / 2) },
+    { name: 'port', ...at(0, -ann.w / 2) },
+    {
+      name: 'rotate',
+      x: bow.x + ((bow.x - center.x) / len) * ROTATE_HANDLE_OFFSET,
+      y: bow.y + ((bow.y - center.y) / len) * ROTATE_HANDLE_OFFSET,
+    },
+  ];
+  return handles.map(({ name, x, y }) => ({ name, sx: x, sy: y }));
+}
+
+// Polygon/polyline handles are named "vertex:<i>" or "edge:<i>" (midpoint of edge i -> i+1)
+function parsePolygonHandle(handle) {
+  if (typeof handle !== 'string' || !handle.includes(':')) return null;
+  const [kind, idx] = handle.split(':');
+  return { kind, index: parseInt(idx, 10) };
+}
+
 // ============================================================================
 // COORDINATE TRANSFORMS
 // ============================================================================
 
+// Rigid placement of a frame image in the scene: rotate by rotationDeg about the
+// pivot (image px, the image center unless set), then shift by dx/dy (scene px).
+// Version-1 projects only have rotationDeg.
+function getFrameTransform(frame) {
+  return {
+    rotationDeg: frame.rotationDeg || 0,
+    dx: frame.dx || 0,
+    dy: frame.dy || 0,
+    pivotX: frame.pivot?.x ?? frame.width / 2,
+    pivotY: frame.pivot?.y ?? frame.height / 2,
+  };
+}
+
+// With `rotated` the transformer maps a frame's image space (through its rigid
+// transform, see getFrameTransform); without it, the scene itself (globals).
 class CoordinateTransformer {
-  constructor(imgW, imgH, zoom, panX, panY, rotationDeg, rotated = true) {
+  constructor(imgW, imgH, zoom, panX, panY, rotationDeg, rotated = true, rigid = {}) {
     this.imgW = imgW;
     this.imgH = imgH;
     this.zoom = zoom;
@@ -87,12 +634,30 @@ class CoordinateTransformer {
     this.panY = panY;
     this.rotationDeg = rotationDeg;
     this.rotated = rotated;
+    this.dx = rotated ? rigid.dx || 0 : 0;
+    this.dy = rotated ? rigid.dy || 0 : 0;
+    this.pivotX = rotated ? rigid.pivotX ?? imgW / 2 : imgW / 2;
+    this.pivotY = rotated ? rigid.pivotY ?? imgH / 2 : imgH / 2;
+  }
+
+  // Transformer for a frame's image space (or, with rotated false, the scene) in a viewport
+  static forFrame(frame, viewport = { zoom: 1, panX: 0, panY: 0 }, rotated = true) {
+    const t = getFrameTransform(frame);
+    return new CoordinateTransformer(
+      frame.width,
+      frame.height,
+      viewport.zoom,
+      viewport.panX,
+      viewport.panY,
+      rotated ? t.rotationDeg : 0,
+      rotated,
+      t
+    );
   }
 
   screenToImage(sx, sy) {
-    // Reverse the transform chain: undo pan, undo zoom, undo rotation (if active)
-    const canvasCenterX = this.imgW / 2;
-    const canvasCenterY = this.imgH / 2;
+    // Reverse the transform chain: undo pan, undo zoom, undo shift and rotation about the pivot
+    const { pivotX, pivotY } = this;
 
     // Undo pan
     let x = sx - this.panX;
@@ -102,9 +667,9 @@ class CoordinateTransformer {
     x /= this.zoom;
     y /= this.zoom;
 
-    // Undo translation to center
-    x -= canvasCenterX;
-    y -= canvasCenterY;
+    // Undo shift, then move the pivot to the origin
+    x -= pivotX + this.dx;
+    y -= pivotY + this.dy;
 
     // Undo rotation if active
     if (this.rotated && this.rotationDeg !== 0) {
@@ -117,20 +682,28 @@ class CoordinateTransformer {
       y = ny;
     }
 
-    // Undo translation back from center
-    x += canvasCenterX;
-    y += canvasCenterY;
+    // Undo translation to the pivot
+    x += pivotX;
+    y += pivotY;
 
     return { x, y };
   }
 
+  // Angles are degrees clockwise; image space differs from screen by the frame rotation
+  imageAngleToScreen(angleDeg) {
+    return this.rotated ? angleDeg + this.rotationDeg : angleDeg;
+  }
+
+  screenAngleToImage(angleDeg) {
+    return this.rotated ? angleDeg - this.rotationDeg : angleDeg;
+  }
+
   imageToScreen(ix, iy) {
-    const canvasCenterX = this.imgW / 2;
-    const canvasCenterY = this.imgH / 2;
+    const { pivotX, pivotY } = this;
 
-    // Translate to center
-    let x = ix - canvasCenterX;
-    let y = iy - canvasCenterY;
+    // Translate to the pivot
+    let x = ix - pivotX;
+    let y = iy - pivotY;
 
     // Apply rotation if active
     if (this.rotated && this.rotationDeg !== 0) {
@@ -143,9 +716,9 @@ class CoordinateTransformer {
       y = ny;
     }
 
-    // Translate back from center
-    x += canvasCenterX;
-    y += canvasCenterY;
+    // Translate back from the pivot and shift
+    x += pivotX + this.dx;
+    y += pivotY + this.dy;
 
     // Apply zoom
     x *= this.zoom;
@@ -159,6 +732,1030 @@ class CoordinateTransformer {
   }
 }
 
+// ============================================================================
+// POLAR FRAMES
+// ============================================================================
+
+// B-scope frames (range on one image axis, azimuth on the other) are shown
+// scan-converted: their image space is a Cartesian PPI image of the same
+// frame with the radar at its center and bearing 0 up. frame.polar holds
+// { rangeAxis, rangePerPixel, azimuthOrigin } plus the B-scope size
+// (sourceWidth, sourceHeight) and `scale`, Cartesian px per range bin.
+// PolarTransformer adds range (m) and bearing (degrees clockwise) to the
+// frame's transform, and maps between B-scope and Cartesian pixels.
+class PolarTransformer extends CoordinateTransformer {
+  constructor(imgW, imgH, zoom, panX, panY, rotationDeg, rigid, polar) {
+    super(imgW, imgH, zoom, panX, panY, rotationDeg, true, rigid);
+    this.polar = polar;
+    const rangeAlongX = polar.rangeAxis === POLAR_RANGE_COLUMNS;
+    this.rangeBins = rangeAlongX ? polar.sourceWidth : polar.sourceHeight;
+    this.azimuthBins = rangeAlongX ? polar.sourceHeight : polar.sourceWidth;
+  }
+
+  static forFrame(frame, viewport = { zoom: 1, panX: 0, panY: 0 }) {
+    const t = getFrameTransform(frame);
+    return new PolarTransformer(
+      frame.width,
+      frame.height,
+      viewport.zoom,
+      viewport.panX,
+      viewport.panY,
+      t.rotationDeg,
+      t,
+      frame.polar
+    );
+  }
+
+  imageToPolar(ix, iy) {
+    const dx = ix - this.imgW / 2;
+    const dy = iy - this.imgH / 2;
+    return {
+      range: (Math.hypot(dx, dy) / this.polar.scale) * this.polar.rangePerPixel,
+      bearing: normalizeAngle((Math.atan2(dx, -dy) * 180) / Math.PI),
+    };
+  }
+
+  polarToImage(range, bearing) {
+    const r = (range / this.polar.rangePerPixel) * this.polar.scale;
+    const rad = (bearing * Math.PI) / 180;
+    return { x: this.imgW / 2 + r * Math.sin(rad), y: this.imgH / 2 - r * Math.cos(rad) };
+  }
+
+  screenToPolar(sx, sy) {
+    const { x, y } = this.screenToImage(sx, sy);
+    return this.imageToPolar(x, y);
+  }
+
+  polarToScreen(range, bearing) {
+    const { x, y } = this.polarToImage(range, bearing);
+    return this.imageToScreen(x, y);
+  }
+
+  // B-scope pixel coordinates (x, y as in the source image) <-> Cartesian image px
+  sourceToImage(sx, sy) {
+    const rangeAlongX = this.polar.rangeAxis === POLAR_RANGE_COLUMNS;
+    const bin = rangeAlongX ? sx : sy;
+    const azimuth = rangeAlongX ? sy : sx;
+    const bearing = this.polar.azimuthOrigin + (azimuth * 360) / this.azimuthBins;
+    return this.polarToImage(bin * this.polar.rangePerPixel, bearing);
+  }
+
+  imageToSource(ix, iy) {
+    const { range, bearing } = this.imageToPolar(ix, iy);
+    const bin = range / this.polar.rangePerPixel;
+    const azimuth = (normalizeAngle(bearing - this.polar.azimuthOrigin) * this.azimuthBins) / 360;
+    return this.polar.rangeAxis === POLAR_RANGE_COLUMNS ? { x: bin, y: azimuth } : { x: azimuth, y: bin };
+  }
+}
+
+// Range/bearing of an annotation on a polar frame: of its center (see
+// getAnnotationCenter), plus every vertex of polygons and polylines.
+// Global annotations are given in scene space.
+function getAnnotationPolar(ann, frame, isGlobal = false) {
+  const trans = PolarTransformer.forFrame(frame);
+  const toPolar = (x, y) => {
+    const p = isGlobal ? trans.screenToImage(x, y) : { x, y };
+    const { range, bearing } = trans.imageToPolar(p.x, p.y);
+    return { range: Math.round(range * 100) / 100, bearing: Math.round(bearing * 100) / 100 };
+  };
+  const center = getAnnotationCenter(ann);
+  const polar = toPolar(center.x, center.y);
+  if (hasVertices(ann)) polar.points = ann.points.map((p) => toPolar(p.x, p.y));
+  return polar;
+}
+
+// Frame annotations as saved and exported: on polar frames each also carries
+// its range/bearing, recomputed on every write so it never goes stale
+function withAnnotationPolar(frame) {
+  return frame.annotations.map(({ polar: _polar, ...ann }) =>
+    frame.polar ? { ...ann, polar: getAnnotationPolar(ann, frame) } : ann
+  );
+}
+
+// Moves an annotation through a point mapping; boxes keep their size
+function remapAnnotation(ann, mapPoint) {
+  if (hasVertices(ann)) return { ...ann, points: ann.points.map((p) => mapPoint(p.x, p.y)) };
+  if (ann.type === ANNOTATION_BBOX) {
+    const c = mapPoint(ann.x + ann.w / 2, ann.y + ann.h / 2);
+    return { ...ann, x: c.x - ann.w / 2, y: c.y - ann.h / 2 };
+  }
+  const c = mapPoint(ann.x, ann.y);
+  if (ann.type !== ANNOTATION_OBB) return { ...ann, ...c };
+  // The heading follows a point ahead of the center
+  const rad = (ann.angle * Math.PI) / 180;
+  const ahead = mapPoint(ann.x + Math.sin(rad), ann.y - Math.cos(rad));
+  const angle = normalizeAngle((Math.atan2(ahead.x - c.x, -(ahead.y - c.y)) * 180) / Math.PI);
+  return { ...ann, ...c, angle };
+}
+
+// Puts a frame into polar mode with `settings` ({ rangeAxis, rangePerPixel,
+// azimuthOrigin }), or back to a plain image with null. The image space
+// changes, so annotations are carried over through the B-scope pixels under
+// them, and the pivot goes back to the image center (the radar origin).
+function setFramePolar(frame, settings) {
+  const sourceWidth = frame.polar?.sourceWidth ?? frame.width;
+  const sourceHeight = frame.polar?.sourceHeight ?? frame.height;
+  const { polar: _polar, ...plain } = frame;
+  let next = { ...plain, width: sourceWidth, height: sourceHeight, pivot: null };
+  if (settings) {
+    const rangeBins = settings.rangeAxis === POLAR_RANGE_COLUMNS ? sourceWidth : sourceHeight;
+    const radius = Math.min(rangeBins, POLAR_MAX_SIDE / 2);
+    const polar = { ...settings, sourceWidth, sourceHeight, scale: radius / rangeBins };
+    next = { ...next, polar, width: 2 * radius, height: 2 * radius };
+  }
+  const from = frame.polar ? PolarTransformer.forFrame(frame) : null;
+  const to = next.polar ? PolarTransformer.forFrame(next) : null;
+  const mapPoint = (x, y) => {
+    const source = from ? from.imageToSource(x, y) : { x, y };
+    return to ? to.sourceToImage(source.x, source.y) : source;
+  };
+  return { ...next, annotations: frame.annotations.map((a) => remapAnnotation(a, mapPoint)) };
+}
+
+// ============================================================================
+// GEOREFERENCING
+// ============================================================================
+
+// A georeference maps pixels to WGS84 lat/lon. The project's is in scene space
+// and shared by all frames; a frame's own is in its image space and takes
+// precedence. It is one of:
+//   { method: 'radar', lat, lon, metersPerPixel, northOffset, origin: { x, y } }
+//     origin is the radar's pixel position, northOffset the bearing of image
+//     up in degrees clockwise from true north
+//   { method: 'gcp', points: [{ x, y, lat, lon }] }
+//     at least GEOREF_MIN_GCPS control points, fitted by least-squares affine
+// Both work on a local tangent plane, which is accurate over radar ranges.
+
+// Moves a lat/lon by east/north meters
+function offsetLatLon(lat, lon, east, north) {
+  return {
+    lat: lat + ((north / EARTH_RADIUS_M) * 180) / Math.PI,
+    lon: lon + ((east / (EARTH_RADIUS_M * Math.cos((lat * Math.PI) / 180))) * 180) / Math.PI,
+  };
+}
+
+// East/north meters of a lat/lon from a reference lat/lon (inverse of offsetLatLon)
+function latLonOffset(refLat, refLon, lat, lon) {
+  return {
+    east: (((lon - refLon) * Math.PI) / 180) * EARTH_RADIUS_M * Math.cos((refLat * Math.PI) / 180),
+    north: (((lat - refLat) * Math.PI) / 180) * EARTH_RADIUS_M,
+  };
+}
+
+// Least-squares affine fit value ~ a*x + b*y + c over points [{ x, y }];
+// returns [a, b, c], or null when the points are collinear
+function fitAffine(points, values) {
+  const sum = { xx: 0, xy: 0, yy: 0, x: 0, y: 0, xv: 0, yv: 0, v: 0 };
+  points.forEach(({ x, y }, i) => {
+    sum.xx += x * x;
+    sum.xy += x * y;
+    sum.yy += y * y;
+    sum.x += x;
+    sum.y += y;
+    sum.xv += x * values[i];
+    sum.yv += y * values[i];
+    sum.v += values[i];
+  });
+  const n = points.length;
+  // Normal equations, solved by Cramer's rule
+  const det3 = (m) =>
+    m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+  const normal = [
+    [sum.xx, sum.xy, sum.x],
+    [sum.xy, sum.yy, sum.y],
+    [sum.x, sum.y, n],
+  ];
+  const rhs = [sum.xv, sum.yv, sum.v];
+  const det = det3(normal);
+  if (Math.abs(det) < 1e-9 * Math.max(1, sum.xx * sum.yy * n)) return null;
+  return [0, 1, 2].map((col) => det3(normal.map((row, r) => row.map((v, c) => (c === col ? rhs[r] : v)))) / det);
+}
+
+// Returns { toLatLon(x, y), rms } (rms: control point residual in meters, 0
+// for the radar method), or { error } when the georeference cannot be used
+function buildGeoreference(georef) {
+  if (georef.method === GEOREF_RADAR) {
+    const { lat, lon, metersPerPixel, northOffset, origin } = georef;
+    if (![lat, lon, metersPerPixel, origin?.x, origin?.y].every(Number.isFinite) || metersPerPixel <= 0) {
+      return { error: 'Set the radar lat/lon, its pixel origin and meters per pixel' };
+    }
+    const rad = ((northOffset || 0) * Math.PI) / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    return {
+      rms: 0,
+      toLatLon: (x, y) => {
+        const right = (x - origin.x) * metersPerPixel;
+        const up = (origin.y - y) * metersPerPixel;
+        return offsetLatLon(lat, lon, right * cos + up * sin, up * cos - right * sin);
+      },
+    };
+  }
+  if (georef.method === GEOREF_GCP) {
+    const points = (georef.points || []).filter((p) => [p.x, p.y, p.lat, p.lon].every(Number.isFinite));
+    if (points.length < GEOREF_MIN_GCPS) {
+      return { error: `Needs at least ${GEOREF_MIN_GCPS} complete control points (has ${points.length})` };
+    }
+    // Fit in meters around the control points' mean position
+    const refLat = points.reduce((a, p) => a + p.lat, 0) / points.length;
+    const refLon = points.reduce((a, p) => a + p.lon, 0) / points.length;
+    const offsets = points.map((p) => latLonOffset(refLat, refLon, p.lat, p.lon));
+    // ...and pixels around their mean, which keeps the normal equations well conditioned
+    const meanX = points.reduce((a, p) => a + p.x, 0) / points.length;
+    const meanY = points.reduce((a, p) => a + p.y, 0) / points.length;
+    const centered = points.map((p) => ({ x: p.x - meanX, y: p.y - meanY }));
+    const east = fitAffine(centered, offsets.map((o) => o.east));
+    const north = fitAffine(centered, offsets.map((o) => o.north));
+    if (!east || !north) return { error: 'Control points must not lie on one line' };
+    const apply = (coef, x, y) => coef[0] * (x - meanX) + coef[1] * (y - meanY) + coef[2];
+    const residuals = points.map(
+      (p, i) => (apply(east, p.x, p.y) - offsets[i].east) ** 2 + (apply(north, p.x, p.y) - offsets[i].north) ** 2
+    );
+    return {
+      rms: Math.sqrt(residuals.reduce((a, b) => a + b, 0) / points.length),
+      toLatLon: (x, y) => offsetLatLon(refLat, refLon, apply(east, x, y), apply(north, x, y)),
+    };
+  }
+  return { error: `Unknown georeference method: ${georef.method}` };
+}
+
+// Lat/lon mapping for one frame: (x, y, isGlobal) => { lat, lon }, with x/y in
+// the frame's image space (or the scene for globals). Uses the frame's own
+// georeference, else the project's; null if the one that applies is unusable.
+function getFrameGeoMapper(project, frame) {
+  const own = frame.georef ? buildGeoreference(frame.georef) : null;
+  if (own) {
+    if (own.error) return null;
+    return (x, y, isGlobal = false) => {
+      const p = isGlobal ? sceneToFrameImage(frame, x, y) : { x, y };
+      return own.toLatLon(p.x, p.y);
+    };
+  }
+  const shared = project.georef ? buildGeoreference(project.georef) : null;
+  if (!shared || shared.error) return null;
+  return (x, y, isGlobal = false) => {
+    const p = isGlobal ? { x, y } : frameImageToScene(frame, x, y);
+    return shared.toLatLon(p.x, p.y);
+  };
+}
+
+// Rounded to 1e-7 degrees, about a centimeter
+function roundLatLon({ lat, lon }) {
+  return { lat: Math.round(lat * 1e7) / 1e7, lon: Math.round(lon * 1e7) / 1e7 };
+}
+
+function getAnnotationLatLon(ann, toGeo, isGlobal = false) {
+  const center = getAnnotationCenter(ann);
+  return roundLatLon(toGeo(center.x, center.y, isGlobal));
+}
+
+// ============================================================================
+// INTERPOLATION
+// ============================================================================
+
+const INTERP_LINEAR = 'linear';
+const INTERP_SPLINE = 'spline';
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Interpolate along the shorter arc
+function lerpAngle(a, b, t) {
+  const d = ((((b - a) % 360) + 540) % 360) - 180;
+  return normalizeAngle(a + d * t);
+}
+
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return (
+    0.5 *
+    (2 * p1 + (-p0 + p2) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 + (-p0 + 3 * p1 - 3 * p2 + p3) * t3)
+  );
+}
+
+// Frame annotations live in each frame's own image space. Interpolation runs in
+// the de-rotated scene so a boat keeps its course when rotationDeg differs
+// between keyframes. Boxes are carried by their center in scene space.
+function annotationToScene(ann, frame) {
+  const trans = CoordinateTransformer.forFrame(frame);
+  if (hasVertices(ann)) {
+    return { ...ann, points: ann.points.map((p) => trans.imageToScreen(p.x, p.y)) };
+  }
+  if (ann.type === ANNOTATION_BBOX) {
+    return { ...ann, ...trans.imageToScreen(ann.x + ann.w / 2, ann.y + ann.h / 2) };
+  }
+  const scene = { ...ann, ...trans.imageToScreen(ann.x, ann.y) };
+  if (ann.type === ANNOTATION_OBB) scene.angle = trans.imageAngleToScreen(ann.angle);
+  return scene;
+}
+
+function annotationFromScene(scene, frame) {
+  const trans = CoordinateTransformer.forFrame(frame);
+  if (hasVertices(scene)) {
+    return { ...scene, points: scene.points.map((p) => trans.screenToImage(p.x, p.y)) };
+  }
+  const { x, y } = trans.screenToImage(scene.x, scene.y);
+  if (scene.type === ANNOTATION_BBOX) {
+    return { ...scene, x: x - scene.w / 2, y: y - scene.h / 2 };
+  }
+  const ann = { ...scene, x, y };
+  if (scene.type === ANNOTATION_OBB) ann.angle = normalizeAngle(trans.screenAngleToImage(scene.angle));
+  return ann;
+}
+
+// Two keyframes can be interpolated if they have the same geometry (and vertex count)
+function canInterpolate(a, b) {
+  if (a.type !== b.type) return false;
+  return !hasVertices(a) || a.points.length === b.points.length;
+}
+
+// Scene-space annotation between keys[i] and keys[i + 1] at 0 < t < 1
+function interpolateScene(keys, i, t, mode) {
+  const k0 = keys[Math.max(0, i - 1)];
+  const k1 = keys[i];
+  const k2 = keys[i + 1];
+  const k3 = keys[Math.min(keys.length - 1, i + 2)];
+  // Spline neighbours must share the segment's geometry; otherwise fall back to the segment ends
+  const prev = canInterpolate(k0, k1) ? k0 : k1;
+  const next = canInterpolate(k2, k3) ? k3 : k2;
+  const pos = (get) =>
+    mode === INTERP_SPLINE
+      ? catmullRom(get(prev), get(k1), get(k2), get(next), t)
+      : lerp(get(k1), get(k2), t);
+
+  const out = { ...k1 };
+  if (hasVertices(k1)) {
+    out.points = k1.points.map((_, j) => ({
+      x: pos((k) => k.points[j].x),
+      y: pos((k) => k.points[j].y),
+    }));
+    return out;
+  }
+  out.x = pos((k) => k.x);
+  out.y = pos((k) => k.y);
+  if (k1.type === ANNOTATION_BBOX || k1.type === ANNOTATION_OBB) {
+    out.w = lerp(k1.w, k2.w, t);
+    out.h = lerp(k1.h, k2.h, t);
+  }
+  if (k1.type === ANNOTATION_OBB) out.angle = lerpAngle(k1.angle, k2.angle, t);
+  return out;
+}
+
+// Regenerates the interpolated annotations of one track. Every non-interpolated
+// annotation in the track is a keyframe; frames between keyframes get a fresh
+// annotation flagged `interpolated`. Returns { frames, generated, skipped }.
+function interpolateTrack(frames, trackId, mode = INTERP_LINEAR) {
+  const keyFrames = [];
+  frames.forEach((frame, frameIdx) => {
+    const key = frame.annotations.find((a) => a.trackId === trackId && !a.interpolated);
+    if (key) keyFrames.push({ frameIdx, scene: annotationToScene(key, frame) });
+  });
+
+  // Start from the track's keyframes only
+  const newFrames = frames.map((frame) =>
+    frame.annotations.some((a) => a.trackId === trackId && a.interpolated)
+      ? { ...frame, annotations: frame.annotations.filter((a) => !(a.trackId === trackId && a.interpolated)) }
+      : frame
+  );
+
+  const keys = keyFrames.map((k) => k.scene);
+  let generated = 0;
+  let skipped = 0;
+  for (let i = 0; i < keyFrames.length - 1; i++) {
+    const f0 = keyFrames[i].frameIdx;
+    const f1 = keyFrames[i + 1].frameIdx;
+    if (f1 - f0 < 2) continue;
+    if (!canInterpolate(keys[i], keys[i + 1])) {
+      skipped++;
+      continue;
+    }
+    for (let f = f0 + 1; f < f1; f++) {
+      const scene = interpolateScene(keys, i, (f - f0) / (f1 - f0), mode);
+      const ann = { ...annotationFromScene(scene, newFrames[f]), id: generateId(), interpolated: true };
+      newFrames[f] = { ...newFrames[f], annotations: [...newFrames[f].annotations, ann] };
+      generated++;
+    }
+  }
+  return { frames: newFrames, generated, skipped };
+}
+
+// Any manual edit turns an interpolated annotation into a keyframe
+function markEdited(ann) {
+  if (!ann.interpolated) return ann;
+  const { interpolated: _removed, ...rest } = ann;
+  return rest;
+}
+
+// `after` marked edited if it was moved or reshaped; label, attribute and review
+// changes leave an interpolated annotation interpolated
+function markGeometryEdited(before, after) {
+  const moved = ['type', 'x', 'y', 'w', 'h', 'angle', 'points'].some((key) => before[key] !== after[key]);
+  return moved ? markEdited(after) : after;
+}
+
+// Copy of a frame annotation placed at the same spot on the de-rotated scene of
+// another frame, with a fresh id and flagged for review
+function copyAnnotationToFrame(ann, fromFrame, toFrame) {
+  const moved = annotationFromScene(annotationToScene(ann, fromFrame), toFrame);
+  return { ...markEdited(moved), id: generateId(), reviewStatus: REVIEW_UNREVIEWED };
+}
+
+// ============================================================================
+// PREDICTION
+// ============================================================================
+
+// Constant-velocity Kalman filter, run per scene axis with time in frames
+const KALMAN_PROCESS_NOISE = 0.5;        // acceleration variance, scene px² per frame⁴
+const KALMAN_MEASUREMENT_NOISE = 4;      // annotation placement variance, scene px²
+const KALMAN_INITIAL_VELOCITY_VAR = 100; // scene px² per frame² before a second observation
+const GHOST_MAX_GAP = 5;                 // tracks unseen for longer get no prediction
+
+// Filters `observations` ([{ t, value }], ascending t) and predicts the value at
+// time `t`. Returns { value, variance }.
+function predictConstantVelocity(observations, t) {
+  let p = observations[0].value;
+  let v = 0;
+  let P = [KALMAN_MEASUREMENT_NOISE, 0, 0, KALMAN_INITIAL_VELOCITY_VAR]; // row-major 2x2
+  let time = observations[0].t;
+  const advance = (dt) => {
+    const q = KALMAN_PROCESS_NOISE;
+    p += v * dt;
+    P = [
+      P[0] + dt * (P[1] + P[2]) + dt * dt * P[3] + (q * dt ** 4) / 4,
+      P[1] + dt * P[3] + (q * dt ** 3) / 2,
+      P[2] + dt * P[3] + (q * dt ** 3) / 2,
+      P[3] + q * dt * dt,
+    ];
+  };
+  for (const obs of observations.slice(1)) {
+    advance(obs.t - time);
+    time = obs.t;
+    const s = P[0] + KALMAN_MEASUREMENT_NOISE;
+    const k0 = P[0] / s;
+    const k1 = P[2] / s;
+    const innovation = obs.value - p;
+    p += k0 * innovation;
+    v += k1 * innovation;
+    P = [(1 - k0) * P[0], (1 - k0) * P[1], P[2] - k1 * P[0], P[3] - k1 * P[1]];
+  }
+  advance(t - time);
+  return { value: p, variance: P[0] };
+}
+
+function getSceneCenter(scene) {
+  if (!hasVertices(scene)) return { x: scene.x, y: scene.y };
+  const n = scene.points.length;
+  return {
+    x: scene.points.reduce((a, p) => a + p.x, 0) / n,
+    y: scene.points.reduce((a, p) => a + p.y, 0) / n,
+  };
+}
+
+// Predicted annotations ("ghosts") for tracks seen in the frames before
+// `frameIndex` but missing from it. Each track's centers are filtered in the
+// de-rotated scene so rotationDeg changes do not read as motion; the ghost is
+// the track's latest annotation moved to the prediction, in the frame's image
+// space. Returns [{ trackId, ann, sigma }], sigma being the position std-dev.
+function predictTrackGhosts(frames, frameIndex) {
+  const frame = frames[frameIndex];
+  if (!frame) return [];
+  const present = new Set(frame.annotations.map((a) => a.trackId).filter((id) => id != null));
+  const history = new Map(); // trackId -> [{ t, scene }]
+  frames.slice(0, frameIndex).forEach((f, t) => {
+    for (const ann of f.annotations) {
+      if (ann.trackId == null || present.has(ann.trackId)) continue;
+      if (!history.has(ann.trackId)) history.set(ann.trackId, []);
+      history.get(ann.trackId).push({ t, scene: annotationToScene(ann, f) });
+    }
+  });
+
+  const ghosts = [];
+  history.forEach((observations, trackId) => {
+    const last = observations[observations.length - 1];
+    if (frameIndex - last.t > GHOST_MAX_GAP) return;
+    const centers = observations.map(({ t, scene }) => ({ t, ...getSceneCenter(scene) }));
+    const px = predictConstantVelocity(centers.map((c) => ({ t: c.t, value: c.x })), frameIndex);
+    const py = predictConstantVelocity(centers.map((c) => ({ t: c.t, value: c.y })), frameIndex);
+    const lastCenter = centers[centers.length - 1];
+    const scene = translateAnnotation(last.scene, px.value - lastCenter.x, py.value - lastCenter.y);
+    const { matchScore: _score, reviewComment: _comment, ...ann } = markEdited(annotationFromScene(scene, frame));
+    ghosts.push({
+      trackId,
+      ann: { ...ann, id: generateId(), reviewStatus: REVIEW_UNREVIEWED },
+      sigma: Math.sqrt(Math.max(px.variance, py.variance)),
+    });
+  });
+  return ghosts;
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+// Undo entries hold whole project snapshots; updates are immutable, so
+// snapshots share everything they did not change.
+const EMPTY_HISTORY = { past: [], future: [] };
+// Project fields that only affect what is shown; changing them is not an undo step
+const VIEW_STATE_KEYS = ['viewport', 'currentIndex', 'layers'];
+
+function describeAnnotationChange(before, after, where) {
+  const beforeIds = new Set(before.map((a) => a.id));
+  const afterIds = new Set(after.map((a) => a.id));
+  const added = after.filter((a) => !beforeIds.has(a.id));
+  const removed = before.filter((a) => !afterIds.has(a.id));
+  const plural = (n) => (n === 1 ? 'annotation' : `${n} annotations`);
+  if (added.length > 0 && removed.length === 0) {
+    return { key: null, label: `Add ${plural(added.length)} (${where})` };
+  }
+  if (removed.length > 0 && added.length === 0) {
+    return { key: null, label: `Delete ${plural(removed.length)} (${where})` };
+  }
+  const prevById = new Map(before.map((a) => [a.id, a]));
+  const edited = after.filter((a) => prevById.has(a.id) && prevById.get(a.id) !== a);
+  if (edited.length === 1) {
+    return { key: `edit:${edited[0].id}`, label: `Edit ${edited[0].type} (${where})` };
+  }
+  return {
+    key: `edit:${edited.map((a) => a.id).join(',')}`,
+    label: `Edit ${plural(edited.length)} (${where})`,
+  };
+}
+
+// History label and merge key for a project update, or null when only view
+// state (viewport, current frame, layers) changed. Consecutive updates with the same
+// non-null key merge into one entry.
+function describeChange(prev, next) {
+  if (prev.classes !== next.classes) return { key: 'classes', label: 'Edit classes' };
+  if (prev.tracks !== next.tracks) return { key: null, label: 'Edit tracks' };
+  if (prev.frames !== next.frames) {
+    const changed = next.frames.map((f, i) => i).filter((i) => prev.frames[i] !== next.frames[i]);
+    if (prev.frames.length !== next.frames.length) return { key: null, label: 'Replace frames' };
+    if (changed.length > 1) return { key: null, label: `Edit ${changed.length} frames` };
+    if (changed.length === 1) {
+      const i = changed[0];
+      const before = prev.frames[i];
+      const after = next.frames[i];
+      if (before.polar !== after.polar) return { key: `polar:${i}`, label: `Set polar mode of frame ${i + 1}` };
+      if (before.georef !== after.georef) return { key: `georef:${i}`, label: `Georeference frame ${i + 1}` };
+      if (before.annotations !== after.annotations) {
+        return describeAnnotationChange(before.annotations, after.annotations, `frame ${i + 1}`);
+      }
+      if (before.rotationDeg !== after.rotationDeg) return { key: `rotation:${i}`, label: `Rotate frame ${i + 1}` };
+      if (before.dx !== after.dx || before.dy !== after.dy || before.pivot !== after.pivot) {
+        return { key: `align:${i}`, label: `Align frame ${i + 1}` };
+      }
+      return { key: `frame:${i}`, label: `Edit frame ${i + 1}` };
+    }
+  }
+  if (prev.globalBuoys !== next.globalBuoys) {
+    return describeAnnotationChange(prev.globalBuoys, next.globalBuoys, 'global');
+  }
+  const other = Object.keys(next).find(
+    (k) => !VIEW_STATE_KEYS.includes(k) && prev[k] !== next[k]
+  );
+  return other ? { key: other, label: `Edit ${other}` } : null;
+}
+
+// ============================================================================
+// REVIEW
+// ============================================================================
+
+function getReviewStatus(item) {
+  return item?.reviewStatus || REVIEW_UNREVIEWED;
+}
+
+// Copy with review fields updated; an empty comment is dropped
+function withReview(item, updates) {
+  const result = { ...item, ...updates };
+  if (!result.reviewComment) delete result.reviewComment;
+  return result;
+}
+
+// Project with review updates applied to annotations on one frame (`items`:
+// [{ type, id }]), or to the frame itself when `items` is null
+function applyReview(project, frameIndex, items, updates) {
+  const newFrames = [...project.frames];
+  const frame = newFrames[frameIndex];
+  if (!items) {
+    newFrames[frameIndex] = withReview(frame, updates);
+    return { ...project, frames: newFrames };
+  }
+  const frameIds = new Set(items.filter((i) => i.type === 'frame').map((i) => i.id));
+  const globalIds = new Set(items.filter((i) => i.type === 'global').map((i) => i.id));
+  newFrames[frameIndex] = {
+    ...frame,
+    annotations: frame.annotations.map((a) => (frameIds.has(a.id) ? withReview(a, updates) : a)),
+  };
+  return {
+    ...project,
+    frames: newFrames,
+    globalBuoys: project.globalBuoys.map((b) => (globalIds.has(b.id) ? withReview(b, updates) : b)),
+  };
+}
+
+// Unreviewed items in review order. Per frame: global annotations first shown
+// on it, then the frame's annotations, then the frame itself. `order` is
+// [frameIndex, group, index] and compares lexicographically.
+function getReviewQueue(project) {
+  const globalsByFrame = {};
+  project.globalBuoys.forEach((ann, i) => {
+    if (getReviewStatus(ann) !== REVIEW_UNREVIEWED) return;
+    const first = project.frames.findIndex((_, f) => resolveGlobalAnnotation(ann, f));
+    if (first < 0) return;
+    (globalsByFrame[first] ||= []).push({ type: 'global', id: ann.id, frameIndex: first, order: [first, 0, i] });
+  });
+  const queue = [];
+  project.frames.forEach((frame, f) => {
+    queue.push(...(globalsByFrame[f] || []));
+    frame.annotations.forEach((ann, i) => {
+      if (getReviewStatus(ann) === REVIEW_UNREVIEWED) {
+        queue.push({ type: 'frame', id: ann.id, frameIndex: f, order: [f, 1, i] });
+      }
+    });
+    if (getReviewStatus(frame) === REVIEW_UNREVIEWED) {
+      queue.push({ type: REVIEW_ITEM_FRAME, frameIndex: f, order: [f, 2, 0] });
+    }
+  });
+  return queue;
+}
+
+function compareReviewOrder(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// The project as written to files and localStorage
+function serializeProject(project) {
+  return { ...project, frames: project.frames.map((frame) => ({ ...frame, annotations: withAnnotationPolar(frame) })) };
+}
+
+// Annotations per frame as consumers see them: the frame's own annotations plus
+// the global annotations resolved for that frame (range and overrides applied)
+function buildFrameExport(project) {
+  return {
+    exportedAt: new Date().toISOString(),
+    classes: project.classes,
+    ...(project.georef && { georef: project.georef }),
+    frames: project.frames.map((frame, idx) => {
+      const { rotationDeg, dx, dy, pivotX, pivotY } = getFrameTransform(frame);
+      // Georeferenced frames give every annotation its lat/lon
+      const toGeo = getFrameGeoMapper(project, frame);
+      const withGeo = (ann, isGlobal) => (toGeo ? { ...ann, geo: getAnnotationLatLon(ann, toGeo, isGlobal) } : ann);
+      return {
+        name: frame.name,
+        width: frame.width,
+        height: frame.height,
+        rotationDeg,
+        dx,
+        dy,
+        pivot: { x: pivotX, y: pivotY },
+        ...(frame.polar && { polar: frame.polar }),
+        ...(frame.georef && { georef: frame.georef }),
+        annotations: withAnnotationPolar(frame).map((ann) => withGeo(ann, false)),
+        globalAnnotations: resolveGlobalAnnotations(project.globalBuoys, idx).map(
+          ({ firstFrame: _f, lastFrame: _l, frameOverrides: _o, ...ann }) =>
+            withGeo(frame.polar ? { ...ann, polar: getAnnotationPolar(ann, frame, true) } : ann, true)
+        ),
+      };
+    }),
+  };
+}
+
+// GeoJSON geometry of an annotation; toGeo maps its x/y to { lat, lon }.
+// Boxes and oriented boxes become their outline polygons.
+function annotationToGeometry(ann, toGeo) {
+  const coords = (points) =>
+    points.map((p) => {
+      const { lat, lon } = roundLatLon(toGeo(p.x, p.y));
+      return [lon, lat];
+    });
+  if (ann.type === ANNOTATION_POINT) return { type: 'Point', coordinates: coords([ann])[0] };
+  if (ann.type === ANNOTATION_POLYLINE) return { type: 'LineString', coordinates: coords(ann.points) };
+  const ring = coords(getAnnotationOutline(ann));
+  return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+}
+
+// Every annotation of the georeferenced frames as a GeoJSON FeatureCollection
+// (WGS84 lon/lat). Global annotations get one feature per frame they appear
+// on, as resolved for that frame. Properties are the class attributes plus
+// frame, frameIndex, id, class, className, scope, trackId and the center's
+// lat/lon. Returns { geojson, skipped }, skipped counting frames without a
+// usable georeference.
+function buildGeoJson(project) {
+  const classNames = Object.fromEntries(project.classes.map((c) => [c.id, c.name]));
+  const features = [];
+  let skipped = 0;
+  project.frames.forEach((frame, idx) => {
+    const toGeo = getFrameGeoMapper(project, frame);
+    if (!toGeo) {
+      skipped++;
+      return;
+    }
+    const addFeature = (ann, isGlobal) => {
+      features.push({
+        type: 'Feature',
+        geometry: annotationToGeometry(ann, (x, y) => toGeo(x, y, isGlobal)),
+        properties: {
+          ...ann.attributes,
+          frame: frame.name,
+          frameIndex: idx,
+          id: ann.id,
+          class: ann.label,
+          className: classNames[ann.label] ?? ann.label,
+          scope: isGlobal ? SCOPE_GLOBAL : SCOPE_FRAME,
+          ...(ann.trackId != null && { trackId: ann.trackId }),
+          ...getAnnotationLatLon(ann, toGeo, isGlobal),
+        },
+      });
+    };
+    frame.annotations.forEach((ann) => addFeature(ann, false));
+    resolveGlobalAnnotations(project.globalBuoys, idx).forEach((ann) => addFeature(ann, true));
+  });
+  return { geojson: { type: 'FeatureCollection', features }, skipped };
+}
+
+// ============================================================================
+// IMAGE ANALYSIS
+// ============================================================================
+
+function decodeImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to decode image'));
+    img.src = url;
+  });
+}
+
+// Decodes a frame image into ImageData through an offscreen canvas
+async function loadImageData(url) {
+  const img = await decodeImage(url);
+  const canvas = document.createElement('canvas');
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Scan converts a polar frame's B-scope image in the detector worker and
+// returns the Cartesian image as a canvas
+async function scanConvert(frame) {
+  const source = await loadImageData(frame.url);
+  const out = await scanConverter.run(
+    'scan',
+    { image: source, width: frame.width, height: frame.height, polar: frame.polar },
+    [source.data.buffer]
+  );
+  const canvas = document.createElement('canvas');
+  canvas.width = out.width;
+  canvas.height = out.height;
+  canvas.getContext('2d', { willReadFrequently: true }).putImageData(out, 0, 0);
+  return canvas;
+}
+
+// Scan conversions of polar frames by B-scope url: { key: settings, promise }
+const scanConversions = new Map();
+
+// The frame image as shown and annotated: the decoded file, or for polar
+// frames its scan conversion (a canvas, cached per image and settings)
+function loadFrameImage(frame) {
+  if (!frame.polar) return decodeImage(frame.url);
+  const key = JSON.stringify(frame.polar);
+  const cached = scanConversions.get(frame.url);
+  if (cached?.key === key) return cached.promise;
+  const promise = scanConvert(frame);
+  scanConversions.delete(frame.url);
+  scanConversions.set(frame.url, { key, promise });
+  if (scanConversions.size > SCAN_CACHE_SIZE) scanConversions.delete(scanConversions.keys().next().value);
+  promise.catch(() => {
+    if (scanConversions.get(frame.url)?.promise === promise) scanConversions.delete(frame.url);
+  });
+  return promise;
+}
+
+// Pixels of the frame's image space (see loadFrameImage)
+async function loadFramePixels(frame) {
+  if (!frame.polar) return loadImageData(frame.url);
+  const canvas = await loadFrameImage(frame);
+  return canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Radar returns are often rendered in colour, so the brightest channel is the intensity
+function getIntensity(imageData, px, py) {
+  const i = (py * imageData.width + px) * 4;
+  const d = imageData.data;
+  return Math.max(d[i], d[i + 1], d[i + 2]);
+}
+
+// Moves (x, y) to the brightest pixel, or the intensity-weighted centroid,
+// within `radius` image px. Coordinates are pixel centers (px + 0.5).
+function snapToIntensity(imageData, x, y, radius, mode) {
+  const cx = Math.floor(x);
+  const cy = Math.floor(y);
+  const samples = [];
+  let min = Infinity;
+  for (let py = Math.max(0, cy - radius); py <= Math.min(imageData.height - 1, cy + radius); py++) {
+    for (let px = Math.max(0, cx - radius); px <= Math.min(imageData.width - 1, cx + radius); px++) {
+      if ((px - cx) ** 2 + (py - cy) ** 2 > radius * radius) continue;
+      const v = getIntensity(imageData, px, py);
+      samples.push({ px, py, v });
+      min = Math.min(min, v);
+    }
+  }
+  if (samples.length === 0) return { x, y };
+
+  if (mode === SNAP_CENTROID) {
+    // Weights above the local minimum, so a flat background does not pull toward the center
+    let sum = 0;
+    let sx = 0;
+    let sy = 0;
+    for (const { px, py, v } of samples) {
+      const w = v - min;
+      sum += w;
+      sx += w * (px + 0.5);
+      sy += w * (py + 0.5);
+    }
+    return sum > 0 ? { x: sx / sum, y: sy / sum } : { x, y };
+  }
+
+  // Peak; ties go to the pixel nearest the click
+  let best = null;
+  for (const sample of samples) {
+    const dist = (sample.px + 0.5 - x) ** 2 + (sample.py + 0.5 - y) ** 2;
+    if (!best || sample.v > best.v || (sample.v === best.v && dist < best.dist)) best = { ...sample, dist };
+  }
+  return { x: best.px + 0.5, y: best.py + 0.5 };
+}
+
+// Region grown from the brightest pixel near (x, y): the 8-connected pixels no
+// more than `tolerance` below the seed intensity. Returns flat pixel indices,
+// or null when the region exceeds WAND_MAX_PIXELS.
+function growRegion(imageData, x, y, tolerance) {
+  const { width, height } = imageData;
+  const seed = snapToIntensity(imageData, x, y, WAND_SEED_RADIUS, SNAP_PEAK);
+  const sx = Math.min(width - 1, Math.max(0, Math.floor(seed.x)));
+  const sy = Math.min(height - 1, Math.max(0, Math.floor(seed.y)));
+  const threshold = getIntensity(imageData, sx, sy) - tolerance;
+  const visited = new Uint8Array(width * height);
+  const stack = [sy * width + sx];
+  const region = [];
+  visited[stack[0]] = 1;
+  while (stack.length > 0) {
+    const idx = stack.pop();
+    region.push(idx);
+    if (region.length > WAND_MAX_PIXELS) return null;
+    const px = idx % width;
+    const py = (idx - px) / width;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = px + dx;
+        const ny = py + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const n = ny * width + nx;
+        if (visited[n]) continue;
+        visited[n] = 1;
+        if (getIntensity(imageData, nx, ny) >= threshold) stack.push(n);
+      }
+    }
+  }
+  return region;
+}
+
+// Tight axis-aligned box around region pixels. `toSpace` maps image points
+// into the annotation's space (identity for frame annotations).
+function fitRegionBox(region, width, toSpace = null) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const include = (x, y) => {
+    const p = toSpace ? toSpace(x, y) : { x, y };
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  };
+  for (const idx of region) {
+    const px = idx % width;
+    const py = (idx - px) / width;
+    if (toSpace) {
+      // Pixel corners, since the pixel grid is rotated relative to the target space
+      include(px, py);
+      include(px + 1, py);
+      include(px, py + 1);
+      include(px + 1, py + 1);
+    } else {
+      include(px, py);
+      include(px + 1, py + 1);
+    }
+  }
+  return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+}
+
+// Global annotations live in the de-rotated scene; these map between it and a frame's image pixels
+function sceneToFrameImage(frame, x, y) {
+  return CoordinateTransformer.forFrame(frame).screenToImage(x, y);
+}
+
+function frameImageToScene(frame, x, y) {
+  return CoordinateTransformer.forFrame(frame).imageToScreen(x, y);
+}
+
+// Grows a box that is too small to edit to the minimum size around its center
+function padBox(box, minSide = MIN_BBOX_SIDE) {
+  if (box.w >= minSide && box.h >= minSide) return box;
+  const w = Math.max(minSide, box.w);
+  const h = Math.max(minSide, box.h);
+  return { x: box.x + box.w / 2 - w / 2, y: box.y + box.h / 2 - h / 2, w, h };
+}
+
+// ============================================================================
+// DETECTORS
+// ============================================================================
+
+// Request/response wrapper around a detector worker ({ id, type, ...payload } in,
+// { id, result } or { id, error } out). The worker is started on first use and reused.
+class DetectorClient {
+  constructor(createWorker) {
+    this.createWorker = createWorker;
+    this.worker = null;
+    this.nextId = 1;
+    this.pending = new Map();
+  }
+
+  run(type, payload, transfer = []) {
+    if (!this.worker) {
+      this.worker = this.createWorker();
+      this.worker.onmessage = (e) => {
+        const { id, result, error } = e.data;
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        if (error) request.reject(new Error(error));
+        else request.resolve(result);
+      };
+      this.worker.onerror = (e) => {
+        const err = new Error(e.message || 'Detector worker failed');
+        this.pending.forEach((request) => request.reject(err));
+        this.terminate();
+      };
+    }
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, ...payload }, transfer);
+    });
+  }
+
+  terminate() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.pending.clear();
+  }
+}
+
+// Scan conversion gets a worker of its own, so showing a polar frame does not
+// wait for detections queued by the component's detector worker
+const scanConverter = new DetectorClient(
+  () => new Worker(new URL('./detectors.worker.js', import.meta.url), { type: 'module' })
+);
+
+// Score with its unit, plus the mapped class for model suggestions
+function formatSuggestion(s, classById) {
+  const style = SUGGESTION_STYLES[s.source];
+  const score = `${s.score.toFixed(style.digits)}${style.unit}`;
+  return s.classId ? `${score} ${classById[s.classId]?.name || s.classId}` : score;
+}
+
+// Parses a model class map such as "0=boat, 2: Buoy" (model class index to a
+// class id or name). Returns { map: { [index]: classId }, errors: [string] }.
+function parseClassMap(text, classes) {
+  const map = {};
+  const errors = [];
+  for (const entry of text.split(/[,;\n]/).map((e) => e.trim()).filter(Boolean)) {
+    const match = entry.match(/^(\d+)\s*[=:]\s*(.+)$/);
+    const cls =
+      match &&
+      classes.find((c) => c.id === match[2].trim() || c.name.toLowerCase() === match[2].trim().toLowerCase());
+    if (!match) errors.push(`"${entry}" is not index=class`);
+    else if (!cls) errors.push(`no box class "${match[2].trim()}"`);
+    else map[match[1]] = cls.id;
+  }
+  return { map, errors };
+}
+
 // ============================================================================
 // FILE I/O
 // ============================================================================
@@ -211,13 +1808,13 @@ class FileIOManager {
     }
   }
 
-  downloadJSON(project) {
-    const json = JSON.stringify(project, null, 2);
+  downloadJSON(data, filename = 'radar_project_backup.json') {
+    const json = JSON.stringify(data, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'radar_project_backup.json';
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
   }
@@ -280,11 +1877,23 @@ export default function RadarLabeler() {
   const saveTimeoutRef = useRef(null);
   const fileInputRef = useRef(null);
   const folderInputRef = useRef(null);
+  const clipboardRef = useRef(null); // { frame: {width, height, rotationDeg, dx, dy, pivot}, anns: [{ann, isGlobal}] }
 
   // Project state
   const [project, setProject] = useState(createDefaultProject());
+  // Latest project, for updates committed after an await (propagation, rotation estimates)
+  const projectRef = useRef(project);
+  projectRef.current = project;
+  // Undo stack: `past` entries hold the project before each change, `future`
+  // entries the project after each undone change. Both are newest-last.
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const historyGestureRef = useRef(null); // set while a mouse drag is in progress
   const [tool, setTool] = useState(TOOL_SELECT);
-  const [selection, setSelection] = useState(null); // { type: 'frame'|'global', id, index? }
+  // `selectedItems` is the full selection ([{ type: 'frame'|'global', id }]); `selection`
+  // is the single selected annotation ({ type, id, index?, vertex? }), null when 0 or 2+
+  const [selectionState, setSelectionState] = useState({ primary: null, items: [] });
+  const selection = selectionState.primary;
+  const selectedItems = selectionState.items;
   const [hoveredId, setHoveredId] = useState(null);
 
   // Interaction state
@@ -294,9 +1903,137 @@ export default function RadarLabeler() {
   const [status, setStatus] = useState('Ready');
   const [lastSaveTime, setLastSaveTime] = useState(null);
   const [showFrameList, setShowFrameList] = useState(false);
+  const [shapeDraft, setShapeDraft] = useState(null); // { type, isGlobal, label, points: [{x, y}] }
+  const [cursorPos, setCursorPos] = useState(null);
+  const [polarCursor, setPolarCursor] = useState(null); // { range, bearing } under the mouse on polar frames
+  const [georefTarget, setGeorefTarget] = useState(GEOREF_PROJECT); // georeference being edited
+  const [georefPick, setGeorefPick] = useState(null); // { target, point: 'origin' | GCP index } awaiting a canvas click
+  const [interpMode, setInterpMode] = useState(INTERP_LINEAR);
+  const [reviewMode, setReviewMode] = useState(false);
+  const [snap, setSnap] = useState({ enabled: false, mode: SNAP_PEAK, radius: SNAP_RADIUS_DEFAULT });
+  const [wand, setWand] = useState({ enabled: false, tolerance: WAND_TOLERANCE_DEFAULT });
+  const framePixelsRef = useRef(null); // { url, data: ImageData } of the current frame image
+  const detectorRef = useRef(
+    new DetectorClient(() => new Worker(new URL('./detectors.worker.js', import.meta.url), { type: 'module' }))
+  );
+  const modelRef = useRef(
+    new DetectorClient(() => new Worker(new URL('./model.worker.js', import.meta.url), { type: 'module' }))
+  );
+  const modelInputRef = useRef(null);
+  const [model, setModel] = useState(null); // { name, inputNames, outputNames } of the loaded ONNX model
+  const [modelConfig, setModelConfig] = useState(MODEL_DEFAULTS);
+  const [modelRange, setModelRange] = useState({ first: '', last: '' }); // 1-based frame numbers, blank = current
+  const [rotationReference, setRotationReference] = useState(0); // frame index others are registered against
+  const [cfar, setCfar] = useState(CFAR_DEFAULTS);
+  const [motion, setMotion] = useState(MOTION_DEFAULTS);
+  const [suggestionClassId, setSuggestionClassId] = useState('boat');
+  const [suggestions, setSuggestions] = useState({}); // { [frameId]: [{ id, source, x, y, w, h, score }] } in frame image space
+  const [detecting, setDetecting] = useState(false);
+  const [propagation, setPropagation] = useState({ threshold: MATCH_THRESHOLD_DEFAULT, radius: MATCH_SEARCH_RADIUS });
+  const [propagating, setPropagating] = useState(false);
+  const [showGhosts, setShowGhosts] = useState(true);
 
   const currentFrame = project.frames[project.currentIndex];
 
+  const setSelection = useCallback((sel) => {
+    setSelectionState({ primary: sel, items: sel ? [{ type: sel.type, id: sel.id }] : [] });
+  }, []);
+
+  const setSelectionItems = useCallback((items) => {
+    setSelectionState({ primary: items.length === 1 ? items[0] : null, items });
+  }, []);
+
+  const isItemSelected = useCallback(
+    (type, id) => selectedItems.some((i) => i.type === type && i.id === id),
+    [selectedItems]
+  );
+
+  const toggleSelectionItem = useCallback(
+    (item) => {
+      setSelectionItems(
+        isItemSelected(item.type, item.id)
+          ? selectedItems.filter((i) => !(i.type === item.type && i.id === item.id))
+          : [...selectedItems, { type: item.type, id: item.id }]
+      );
+    },
+    [selectedItems, isItemSelected, setSelectionItems]
+  );
+  const classes = project.classes || DEFAULT_CLASSES;
+  const classById = useMemo(() => Object.fromEntries(classes.map((c) => [c.id, c])), [classes]);
+  const drawTool = useMemo(() => parseDrawTool(tool), [tool]);
+  // Global annotations as they appear on the current frame
+  const frameGlobals = useMemo(
+    () => resolveGlobalAnnotations(project.globalBuoys, project.currentIndex),
+    [project.globalBuoys, project.currentIndex]
+  );
+  const tracks = project.tracks || [];
+  const trackById = useMemo(() => Object.fromEntries(tracks.map((t) => [t.id, t])), [tracks]);
+  // Frame span of each track: { [trackId]: { first, last, count } }
+  const trackSpans = useMemo(() => {
+    const spans = {};
+    project.frames.forEach((frame, frameIdx) => {
+      for (const ann of frame.annotations) {
+        if (ann.trackId == null) continue;
+        const span = spans[ann.trackId] || { first: frameIdx, last: frameIdx, count: 0 };
+        span.last = frameIdx;
+        span.count += 1;
+        spans[ann.trackId] = span;
+      }
+    });
+    return spans;
+  }, [project.frames]);
+  // Model suggestions below the confidence threshold stay hidden until it is lowered
+  const frameSuggestions = useMemo(
+    () =>
+      (suggestions[currentFrame?.id] || []).filter(
+        (s) => s.source !== SUGGEST_MODEL || s.score >= modelConfig.threshold
+      ),
+    [suggestions, currentFrame, modelConfig.threshold]
+  );
+  // Kalman-predicted positions of tracks missing from the current frame
+  const ghosts = useMemo(
+    () => (showGhosts ? predictTrackGhosts(project.frames, project.currentIndex) : []),
+    [showGhosts, project.frames, project.currentIndex]
+  );
+  const selectedAnnotation = selection
+    ? (selection.type === 'global' ? project.globalBuoys : currentFrame?.annotations || []).find(
+        (a) => a.id === selection.id
+      )
+    : null;
+  const selectedPolar =
+    currentFrame?.polar && selectedAnnotation
+      ? getAnnotationPolar(selectedAnnotation, currentFrame, selection.type === 'global')
+      : null;
+  const selectedGeoMapper = selectedAnnotation && currentFrame ? getFrameGeoMapper(project, currentFrame) : null;
+  const selectedLatLon = selectedGeoMapper
+    ? getAnnotationLatLon(selectedAnnotation, selectedGeoMapper, selection.type === 'global')
+    : null;
+  const editedGeoref = georefTarget === GEOREF_PROJECT ? project.georef : currentFrame?.georef;
+  const editedGeorefFit = editedGeoref ? buildGeoreference(editedGeoref) : null;
+  const selectedAnnotations = useMemo(
+    () =>
+      selectedItems
+        .map((i) =>
+          (i.type === 'global' ? project.globalBuoys : currentFrame?.annotations || []).find((a) => a.id === i.id)
+        )
+        .filter(Boolean),
+    [selectedItems, project.globalBuoys, currentFrame]
+  );
+  // Attributes (same id and type) defined by the classes of every selected annotation
+  const sharedAttributes = useMemo(() => {
+    if (selectedAnnotations.length === 0) return [];
+    const [first, ...rest] = selectedAnnotations.map((a) => classById[a.label]?.attributes || []);
+    return first.filter((attr) => rest.every((attrs) => attrs.some((o) => o.id === attr.id && o.type === attr.type)));
+  }, [selectedAnnotations, classById]);
+
+  // Swaps in a different project (images or a project file loaded); history does not carry over
+  const replaceProject = useCallback((proj) => {
+    projectRef.current = proj;
+    setProject(proj);
+    setHistory(EMPTY_HISTORY);
+    setSuggestions({});
+  }, []);
+
   // ========== File I/O ==========
   const handleOpenFile = async () => {
     try {
@@ -309,10 +2046,10 @@ export default function RadarLabeler() {
         const frameData = await fileIORef.current.loadSingleImage(file);
         const newProject = {
           ...project,
-          frames: [{ ...frameData, rotationDeg: 0, annotations: [] }],
+          frames: [createFrame(frameData)],
           currentIndex: 0,
         };
-        setProject(newProject);
+        replaceProject(newProject);
         setStatus('Image loaded');
       } else {
         // Fallback to standard file input
@@ -336,10 +2073,10 @@ export default function RadarLabeler() {
       const frameData = await fileIORef.current.loadSingleImage(file);
       const newProject = {
         ...project,
-        frames: [{ ...frameData, rotationDeg: 0, annotations: [] }],
+        frames: [createFrame(frameData)],
         currentIndex: 0,
       };
-      setProject(newProject);
+      replaceProject(newProject);
       setStatus('Image loaded');
     } catch (err) {
       console.error('Error loading image:', err);
@@ -374,13 +2111,13 @@ export default function RadarLabeler() {
         return;
       }
 
-      const frames = images.map((img, idx) => ({ ...img, rotationDeg: 0, annotations: [] }));
+      const frames = images.map(createFrame);
       const newProject = {
         ...project,
         frames: frames,
         currentIndex: 0,
       };
-      setProject(newProject);
+      replaceProject(newProject);
       setStatus(`Loaded ${frames.length} images`);
     } catch (err) {
       console.error('Error loading images:', err);
@@ -413,10 +2150,10 @@ export default function RadarLabeler() {
 
         const newProject = {
           ...project,
-          frames: frames.map((f) => ({ ...f, rotationDeg: 0, annotations: [] })),
+          frames: frames.map(createFrame),
           currentIndex: 0,
         };
-        setProject(newProject);
+        replaceProject(newProject);
         setStatus(`Loaded ${frames.length} images`);
       } else {
         // Fallback to standard folder input
@@ -443,10 +2180,28 @@ export default function RadarLabeler() {
   };
 
   const handleBackupDownload = () => {
-    fileIORef.current.downloadJSON(project);
+    fileIORef.current.downloadJSON(serializeProject(project));
     setStatus('Backup downloaded');
   };
 
+  const handleExportFrames = () => {
+    fileIORef.current.downloadJSON(buildFrameExport(project), 'radar_annotations.json');
+    setStatus(`Exported annotations for ${project.frames.length} frames`);
+  };
+
+  const handleExportGeoJson = () => {
+    const { geojson, skipped } = buildGeoJson(project);
+    if (skipped === project.frames.length) {
+      setStatus('No frame has a usable georeference; set one in the Georeference panel');
+      return;
+    }
+    fileIORef.current.downloadJSON(geojson, 'radar_annotations.geojson');
+    setStatus(
+      `Exported ${geojson.features.length} features` +
+        (skipped > 0 ? `; ${skipped} frames without a usable georeference skipped` : '')
+    );
+  };
+
   const handleLoadProject = async () => {
     try {
       if (window.showOpenFilePicker) {
@@ -455,15 +2210,15 @@ export default function RadarLabeler() {
         });
         const file = await handle.getFile();
         const text = await file.text();
-        const loadedProject = JSON.parse(text);
-
-        // Validate project structure
-        if (loadedProject.version && loadedProject.frames && Array.isArray(loadedProject.frames)) {
-          setProject(loadedProject);
+        const parsed = JSON.parse(text);
+        const error = projectFileError(parsed);
+        if (error) {
+          setStatus(error);
+        } else {
+          const loadedProject = normalizeProject(parsed);
+          replaceProject(loadedProject);
           setSelection(null);
           setStatus(`Loaded project with ${loadedProject.frames.length} frames`);
-        } else {
-          setStatus('Invalid project file format');
         }
       } else {
         // Fallback to standard file input
@@ -486,15 +2241,15 @@ export default function RadarLabeler() {
     if (!file) return;
     try {
       const text = await file.text();
-      const loadedProject = JSON.parse(text);
-
-      // Validate project structure
-      if (loadedProject.version && loadedProject.frames && Array.isArray(loadedProject.frames)) {
-        setProject(loadedProject);
+      const parsed = JSON.parse(text);
+      const error = projectFileError(parsed);
+      if (error) {
+        setStatus(error);
+      } else {
+        const loadedProject = normalizeProject(parsed);
+        replaceProject(loadedProject);
         setSelection(null);
         setStatus(`Loaded project with ${loadedProject.frames.length} frames`);
-      } else {
-        setStatus('Invalid project file format');
       }
     } catch (err) {
       console.error('Error loading project:', err);
@@ -509,8 +2264,9 @@ export default function RadarLabeler() {
       if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current);
 
       saveTimeoutRef.current = setTimeout(async () => {
-        fileIORef.current.saveToLocalStorage(proj);
-        const ok = await fileIORef.current.liveWrite(proj);
+        const saved = serializeProject(proj);
+        fileIORef.current.saveToLocalStorage(saved);
+        const ok = await fileIORef.current.liveWrite(saved);
         const now = new Date().toLocaleTimeString();
         setLastSaveTime(now);
         if (!ok && fileIORef.current.fileHandle) {
@@ -526,13 +2282,66 @@ export default function RadarLabeler() {
   // ========== Project updates ==========
   const updateProject = useCallback(
     (updater) => {
-      const newProj = typeof updater === 'function' ? updater(project) : updater;
+      const current = projectRef.current;
+      const newProj = typeof updater === 'function' ? updater(current) : updater;
+      if (newProj === current) return;
+      const change = describeChange(current, newProj);
+      if (change) {
+        // A drag merges into one entry however long it takes
+        const key = historyGestureRef.current ? `gesture:${historyGestureRef.current}` : change.key;
+        const now = Date.now();
+        setHistory(({ past }) => {
+          const last = past[past.length - 1];
+          const merge =
+            key != null &&
+            last?.key === key &&
+            (key.startsWith('gesture:') || now - last.time < HISTORY_MERGE_MS);
+          if (merge) return { past: [...past.slice(0, -1), { ...last, time: now }], future: [] };
+          const entry = { label: change.label, key, time: now, frameIndex: current.currentIndex, project: current };
+          return { past: [...past, entry].slice(-HISTORY_LIMIT), future: [] };
+        });
+      }
+      projectRef.current = newProj;
       setProject(newProj);
       triggerSave(newProj);
     },
-    [project, triggerSave]
+    [triggerSave]
+  );
+
+  // Steps back (or forward) through history. The viewport is left alone and
+  // the frame the change was made on is shown.
+  const stepHistory = useCallback(
+    (direction, steps = 1) => {
+      const from = direction < 0 ? history.past : history.future;
+      const to = direction < 0 ? history.future : history.past;
+      const n = Math.min(steps, from.length);
+      if (n === 0) return;
+      const newFrom = from.slice(0, from.length - n);
+      const newTo = [...to];
+      let current = project;
+      let entry = null;
+      for (let i = 0; i < n; i++) {
+        entry = from[from.length - 1 - i];
+        newTo.push({ ...entry, key: null, project: current });
+        current = entry.project;
+      }
+      const restored = {
+        ...current,
+        viewport: project.viewport,
+        currentIndex: Math.min(entry.frameIndex, Math.max(0, current.frames.length - 1)),
+      };
+      setHistory(direction < 0 ? { past: newFrom, future: newTo } : { past: newTo, future: newFrom });
+      projectRef.current = restored;
+      setProject(restored);
+      triggerSave(restored);
+      setStatus(`${direction < 0 ? 'Undo' : 'Redo'}: ${entry.label}${n > 1 ? ` (+${n - 1} more)` : ''}`);
+    },
+    [history, project, triggerSave]
   );
 
+  const undo = useCallback((steps = 1) => stepHistory(-1, steps), [stepHistory]);
+  const redo = useCallback((steps = 1) => stepHistory(1, steps), [stepHistory]);
+
   const updateFrameAnnotations = useCallback(
     (frameIndex, annotations) => {
       updateProject((proj) => {
@@ -565,11 +2374,130 @@ export default function RadarLabeler() {
     (frameIndex, rotationDeg) => {
       updateProject((proj) => {
         const newFrames = [...proj.frames];
-        newFrames[frameIndex] = { ...newFrames[frameIndex], rotationDeg };
+        // A hand-set rotation no longer carries the estimate's quality score
+        const { rotationScore: _score, ...frame } = newFrames[frameIndex];
+        newFrames[frameIndex] = { ...frame, rotationDeg: normalizeRotation(rotationDeg) };
+        return { ...proj, frames: newFrames };
+      });
+    },
+    [updateProject]
+  );
+
+  // Shift (dx, dy) and pivot of a frame's rigid transform; a null pivot is the image center
+  const updateFrameAlignment = useCallback(
+    (frameIndex, changes) => {
+      updateProject((proj) => {
+        const newFrames = [...proj.frames];
+        newFrames[frameIndex] = { ...newFrames[frameIndex], ...changes };
+        return { ...proj, frames: newFrames };
+      });
+    },
+    [updateProject]
+  );
+
+  // Frames from one radar share its origin, so the pivot is usually set once for all
+  const applyPivotToAll = useCallback(() => {
+    if (!currentFrame) return;
+    const { pivot } = currentFrame;
+    updateProject((proj) => ({ ...proj, frames: proj.frames.map((f) => ({ ...f, pivot })) }));
+    setStatus(pivot ? `Pivot (${pivot.x}, ${pivot.y}) applied to all frames` : 'All frames pivot about their center');
+  }, [currentFrame, updateProject]);
+
+  // settings: { rangeAxis, rangePerPixel, azimuthOrigin }, or null for a plain image
+  const updateFramePolar = useCallback(
+    (frameIndex, settings) => {
+      updateProject((proj) => {
+        const newFrames = [...proj.frames];
+        newFrames[frameIndex] = setFramePolar(newFrames[frameIndex], settings);
+        return { ...proj, frames: newFrames };
+      });
+    },
+    [updateProject]
+  );
+
+  const applyPolarToAll = useCallback(() => {
+    if (!currentFrame) return;
+    const settings = currentFrame.polar
+      ? {
+          rangeAxis: currentFrame.polar.rangeAxis,
+          rangePerPixel: currentFrame.polar.rangePerPixel,
+          azimuthOrigin: currentFrame.polar.azimuthOrigin,
+        }
+      : null;
+    updateProject((proj) => ({ ...proj, frames: proj.frames.map((f) => setFramePolar(f, settings)) }));
+    setStatus(settings ? 'All frames are B-scope images with these settings' : 'All frames are plain images');
+  }, [currentFrame, updateProject]);
+
+  // georef: see buildGeoreference; null removes it. The frame target is the current frame.
+  const updateGeoreference = useCallback(
+    (target, georef) => {
+      updateProject((proj) => {
+        if (target === GEOREF_PROJECT) {
+          const { georef: _old, ...rest } = proj;
+          return georef ? { ...rest, georef } : rest;
+        }
+        const newFrames = [...proj.frames];
+        const { georef: _old, ...frame } = newFrames[proj.currentIndex];
+        newFrames[proj.currentIndex] = georef ? { ...frame, georef } : frame;
         return { ...proj, frames: newFrames };
       });
     },
-    [updateProject]
+    [updateProject]
+  );
+
+  // A new georeference of `method`; the radar is assumed at the frame pivot, and
+  // polar frames already know their meters per pixel
+  const createGeoreference = useCallback(
+    (target, method) => {
+      if (method === GEOREF_GCP) return { method, points: [] };
+      if (method !== GEOREF_RADAR || !currentFrame) return null;
+      const { pivotX, pivotY } = getFrameTransform(currentFrame);
+      const origin = target === GEOREF_FRAME ? { x: pivotX, y: pivotY } : frameImageToScene(currentFrame, pivotX, pivotY);
+      const { polar } = currentFrame;
+      const metersPerPixel = polar ? polar.rangePerPixel / polar.scale : null;
+      return { method, lat: null, lon: null, metersPerPixel, northOffset: 0, origin };
+    },
+    [currentFrame]
+  );
+
+  // The next canvas click places the point; clicking 📍 again cancels
+  const startGeoreferencePick = useCallback(
+    (target, point) => {
+      if (georefPick?.target === target && georefPick.point === point) {
+        setGeorefPick(null);
+        setStatus('Picking cancelled');
+        return;
+      }
+      setTool(TOOL_SELECT);
+      setGeorefPick({ target, point });
+      setStatus(point === 'origin' ? 'Click the radar position on the canvas' : `Click control point ${point + 1} on the canvas`);
+    },
+    [georefPick]
+  );
+
+  // Sets the radar origin or a control point from a canvas click, in the
+  // target's space: the scene for the project, the frame image for a frame
+  const pickGeoreferencePoint = useCallback(
+    (screenX, screenY) => {
+      const { target, point } = georefPick;
+      const georef = target === GEOREF_PROJECT ? project.georef : currentFrame.georef;
+      setGeorefPick(null);
+      if (!georef) return;
+      const trans = CoordinateTransformer.forFrame(currentFrame, project.viewport, target === GEOREF_FRAME);
+      const p = trans.screenToImage(screenX, screenY);
+      const xy = { x: Math.round(p.x * 10) / 10, y: Math.round(p.y * 10) / 10 };
+      if (point === 'origin') {
+        updateGeoreference(target, { ...georef, origin: xy });
+        setStatus(`Radar origin set to (${xy.x}, ${xy.y})`);
+      } else {
+        updateGeoreference(target, {
+          ...georef,
+          points: georef.points.map((gcp, i) => (i === point ? { ...gcp, ...xy } : gcp)),
+        });
+        setStatus(`Control point ${point + 1} placed at (${xy.x}, ${xy.y}); enter its lat/lon`);
+      }
+    },
+    [georefPick, project.georef, project.viewport, currentFrame, updateGeoreference]
   );
 
   const sortFramesAlphabetically = useCallback(() => {
@@ -585,7 +2513,14 @@ export default function RadarLabeler() {
         const bStr = (b.name || '').toLowerCase();
         return aStr.localeCompare(bStr, undefined, { numeric: true, sensitivity: 'base' });
       });
-      return { ...proj, frames: framesCopy, currentIndex: 0 };
+      // Per-frame overrides of global annotations follow their frames
+      const newIndexOf = proj.frames.map((f) => framesCopy.indexOf(f));
+      return {
+        ...proj,
+        frames: framesCopy,
+        globalBuoys: proj.globalBuoys.map((b) => remapGlobalFrames(b, newIndexOf)),
+        currentIndex: 0,
+      };
     });
     setSelection(null);
     setStatus('Frames sorted alphabetically');
@@ -603,51 +2538,81 @@ export default function RadarLabeler() {
   );
 
   // ========== Annotation editing ==========
-  const deleteAnnotation = useCallback(() => {
-    if (!selection) return;
-    if (selection.type === 'frame' && currentFrame) {
-      const newAnns = currentFrame.annotations.filter((a) => a.id !== selection.id);
-      updateFrameAnnotations(project.currentIndex, newAnns);
-      setSelection(null);
-    } else if (selection.type === 'global') {
-      const newBuoys = project.globalBuoys.filter((b) => b.id !== selection.id);
-      updateGlobalBuoys(newBuoys);
-      setSelection(null);
-    }
-  }, [selection, currentFrame, project, updateFrameAnnotations, updateGlobalBuoys]);
+  // Apply `fn` to every annotation in `items` ([{ type, id }]) as one project update
+  const updateAnnotations = useCallback(
+    (items, fn) => {
+      const frameIds = new Set(items.filter((i) => i.type === 'frame').map((i) => i.id));
+      const globalIds = new Set(items.filter((i) => i.type === 'global').map((i) => i.id));
+      updateProject((proj) => {
+        const newFrames = [...proj.frames];
+        if (frameIds.size > 0) {
+          const frame = newFrames[proj.currentIndex];
+          newFrames[proj.currentIndex] = {
+            ...frame,
+            annotations: frame.annotations.map((a) => (frameIds.has(a.id) ? markGeometryEdited(a, fn(a)) : a)),
+          };
+        }
+        const globalBuoys =
+          globalIds.size > 0
+            ? proj.globalBuoys.map((b) => (globalIds.has(b.id) ? markGeometryEdited(b, fn(b)) : b))
+            : proj.globalBuoys;
+        return { ...proj, frames: newFrames, globalBuoys };
+      });
+    },
+    [updateProject]
+  );
 
-  const moveAnnotation = useCallback(
-    (id, dx, dy, isGlobal = false) => {
-      const anns = isGlobal ? project.globalBuoys : currentFrame?.annotations || [];
-      const idx = anns.findIndex((a) => a.id === id);
-      if (idx === -1) return;
+  const moveAnnotations = useCallback(
+    (items, dx, dy) => {
+      updateAnnotations(items, (a) => translateAnnotation(a, dx, dy));
+    },
+    [updateAnnotations]
+  );
 
-      const newAnns = [...anns];
-      const ann = { ...newAnns[idx] };
-      ann.x += dx;
-      ann.y += dy;
-      newAnns[idx] = ann;
+  // Per-frame overrides of a global annotation on the current frame
+  const setGlobalFrameOverride = useCallback(
+    (id, updates) => {
+      updateProject((proj) => ({
+        ...proj,
+        globalBuoys: proj.globalBuoys.map((b) => (b.id === id ? withFrameOverride(b, proj.currentIndex, updates) : b)),
+      }));
+    },
+    [updateProject]
+  );
 
-      if (isGlobal) {
-        updateGlobalBuoys(newAnns);
-      } else {
-        updateFrameAnnotations(project.currentIndex, newAnns);
-      }
+  const shiftGlobalInFrame = useCallback(
+    (id, dx, dy) => {
+      const buoy = project.globalBuoys.find((b) => b.id === id);
+      if (!buoy) return;
+      const offset = getGlobalOffset(buoy, project.currentIndex);
+      setGlobalFrameOverride(id, { dx: offset.dx + dx, dy: offset.dy + dy });
     },
-    [project, currentFrame, updateFrameAnnotations, updateGlobalBuoys]
+    [project.globalBuoys, project.currentIndex, setGlobalFrameOverride]
   );
 
-  const resizeAnnotation = useCallback(
-    (id, dw, dh, isGlobal = false) => {
+  // First/last valid frame of a global annotation; null clears the bound
+  const setGlobalFrameRange = useCallback(
+    (id, bound, frameIndex) => {
+      updateProject((proj) => ({
+        ...proj,
+        globalBuoys: proj.globalBuoys.map((b) => {
+          if (b.id !== id) return b;
+          const { [bound]: _old, ...rest } = b;
+          return frameIndex == null ? rest : { ...rest, [bound]: frameIndex };
+        }),
+      }));
+    },
+    [updateProject]
+  );
+
+  const updateAnnotation = useCallback(
+    (id, updates, isGlobal = false) => {
       const anns = isGlobal ? project.globalBuoys : currentFrame?.annotations || [];
       const idx = anns.findIndex((a) => a.id === id);
-      if (idx === -1 || anns[idx].type !== ANNOTATION_BBOX) return;
+      if (idx === -1) return;
 
       const newAnns = [...anns];
-      const ann = { ...newAnns[idx] };
-      ann.w = Math.max(MIN_BBOX_SIDE, ann.w + dw);
-      ann.h = Math.max(MIN_BBOX_SIDE, ann.h + dh);
-      newAnns[idx] = ann;
+      newAnns[idx] = markGeometryEdited(anns[idx], { ...anns[idx], ...updates });
 
       if (isGlobal) {
         updateGlobalBuoys(newAnns);
@@ -658,44 +2623,154 @@ export default function RadarLabeler() {
     [project, currentFrame, updateFrameAnnotations, updateGlobalBuoys]
   );
 
-  const updateAnnotation = useCallback(
-    (id, updates, isGlobal = false) => {
+  // Drag an oriented box edge; the opposite edge stays fixed
+  const resizeOrientedBox = useCallback(
+    (id, handle, imgX, imgY, isGlobal = false) => {
       const anns = isGlobal ? project.globalBuoys : currentFrame?.annotations || [];
-      const idx = anns.findIndex((a) => a.id === id);
-      if (idx === -1) return;
+      const ann = anns.find((a) => a.id === id);
+      if (!ann || ann.type !== ANNOTATION_OBB) return;
+      const { fwd, right } = getObbAxes(ann);
+      const axis = handle === 'bow' || handle === 'stern' ? fwd : right;
+      const half = axis === fwd ? ann.h / 2 : ann.w / 2;
+      const sign = handle === 'bow' || handle === 'starboard' ? 1 : -1;
+
+      // Fixed edge is on the opposite side of the center
+      const fixedX = ann.x - axis.x * half * sign;
+      const fixedY = ann.y - axis.y * half * sign;
+      const size = Math.max(MIN_BBOX_SIDE, ((imgX - fixedX) * axis.x + (imgY - fixedY) * axis.y) * sign);
+      const updates = {
+        x: fixedX + (axis.x * size * sign) / 2,
+        y: fixedY + (axis.y * size * sign) / 2,
+      };
+      if (axis === fwd) updates.h = size;
+      else updates.w = size;
+      updateAnnotation(id, updates, isGlobal);
+    },
+    [project, currentFrame, updateAnnotation]
+  );
 
-      const newAnns = [...anns];
-      newAnns[idx] = { ...newAnns[idx], ...updates };
+  const moveAnnotationVertex = useCallback(
+    (id, vertexIndex, x, y, isGlobal = false) => {
+      const anns = isGlobal ? project.globalBuoys : currentFrame?.annotations || [];
+      const ann = anns.find((a) => a.id === id);
+      if (!ann || !hasVertices(ann)) return;
+      const points = ann.points.map((p, i) => (i === vertexIndex ? { x, y } : p));
+      updateAnnotation(id, { points }, isGlobal);
+    },
+    [project, currentFrame, updateAnnotation]
+  );
 
-      if (isGlobal) {
-        updateGlobalBuoys(newAnns);
-      } else {
-        updateFrameAnnotations(project.currentIndex, newAnns);
+  const insertAnnotationVertex = useCallback(
+    (id, edgeIndex, isGlobal = false) => {
+      const anns = isGlobal ? project.globalBuoys : currentFrame?.annotations || [];
+      const ann = anns.find((a) => a.id === id);
+      if (!ann || !hasVertices(ann)) return;
+      const a = ann.points[edgeIndex];
+      const b = ann.points[(edgeIndex + 1) % ann.points.length];
+      const points = [...ann.points];
+      points.splice(edgeIndex + 1, 0, { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+      updateAnnotation(id, { points }, isGlobal);
+    },
+    [project, currentFrame, updateAnnotation]
+  );
+
+  const deleteAnnotationVertex = useCallback(
+    (id, vertexIndex, isGlobal = false) => {
+      const anns = isGlobal ? project.globalBuoys : currentFrame?.annotations || [];
+      const ann = anns.find((a) => a.id === id);
+      if (!ann || !hasVertices(ann)) return false;
+      const minVertices = getMinVertices(ann.type);
+      if (ann.points.length <= minVertices) {
+        setStatus(`${GEOMETRY_NAMES[ann.type]} needs at least ${minVertices} vertices`);
+        return false;
       }
+      const points = ann.points.filter((_, i) => i !== vertexIndex);
+      updateAnnotation(id, { points }, isGlobal);
+      return true;
     },
-    [project, currentFrame, updateFrameAnnotations, updateGlobalBuoys]
+    [project, currentFrame, updateAnnotation]
   );
 
+  // Deletes every selected annotation (or just the selected vertex of a single polygon/polyline)
+  const deleteAnnotation = useCallback(() => {
+    if (selectedItems.length === 0) return;
+    if (selection?.vertex != null) {
+      const removed = deleteAnnotationVertex(selection.id, selection.vertex, selection.type === 'global');
+      if (removed) setSelection({ ...selection, vertex: null });
+      return;
+    }
+    const frameIds = new Set(selectedItems.filter((i) => i.type === 'frame').map((i) => i.id));
+    const globalIds = new Set(selectedItems.filter((i) => i.type === 'global').map((i) => i.id));
+    updateProject((proj) => {
+      const newFrames = [...proj.frames];
+      const frame = newFrames[proj.currentIndex];
+      newFrames[proj.currentIndex] = {
+        ...frame,
+        annotations: frame.annotations.filter((a) => !frameIds.has(a.id)),
+      };
+      return { ...proj, frames: newFrames, globalBuoys: proj.globalBuoys.filter((b) => !globalIds.has(b.id)) };
+    });
+    if (selectedItems.length > 1) setStatus(`Deleted ${selectedItems.length} annotations`);
+    setSelection(null);
+  }, [selection, selectedItems, setSelection, updateProject, deleteAnnotationVertex]);
+
+  // Relabel the selection; annotations can only move to a class of the same scope
+  const relabelSelection = useCallback(
+    (classId) => {
+      const cls = classById[classId];
+      if (!cls) return;
+      const itemType = cls.scope === SCOPE_GLOBAL ? 'global' : 'frame';
+      const matching = selectedItems.filter((i) => {
+        if (i.type !== itemType) return false;
+        const ann = (i.type === 'global' ? project.globalBuoys : currentFrame?.annotations || []).find((a) => a.id === i.id);
+        return ann && cls.geometries.includes(ann.type);
+      });
+      updateAnnotations(matching, (a) => ({ ...a, label: classId }));
+      const skipped = selectedItems.length - matching.length;
+      setStatus(
+        `Relabeled ${matching.length} as ${cls.name}` +
+          (skipped > 0 ? `; ${skipped} skipped (different scope or geometry)` : '')
+      );
+    },
+    [classById, selectedItems, project.globalBuoys, currentFrame, updateAnnotations]
+  );
+
+  const finishShape = useCallback(() => {
+    if (!shapeDraft || !currentFrame) return;
+    const minVertices = getMinVertices(shapeDraft.type);
+    if (shapeDraft.points.length < minVertices) {
+      setStatus(`${GEOMETRY_NAMES[shapeDraft.type]} needs at least ${minVertices} vertices`);
+      return;
+    }
+    const ann = createPolygonAnnotation(shapeDraft.label, shapeDraft.points, shapeDraft.type);
+    if (shapeDraft.isGlobal) {
+      updateGlobalBuoys([...project.globalBuoys, ann]);
+    } else {
+      updateFrameAnnotations(project.currentIndex, [...currentFrame.annotations, ann]);
+    }
+    setShapeDraft(null);
+    setCursorPos(null);
+  }, [shapeDraft, currentFrame, project, updateFrameAnnotations, updateGlobalBuoys]);
+
+  // Drop any half-drawn polygon/polyline when the tool or frame changes
+  useEffect(() => {
+    setShapeDraft(null);
+    setCursorPos(null);
+  }, [tool, project.currentIndex]);
+
   // ========== Hit testing ==========
   const getAnnotationAtPoint = useCallback(
     (screenX, screenY) => {
       if (!currentFrame) return null;
-      const { zoom, panX, panY } = project.viewport;
+      const { zoom } = project.viewport;
       const rotated = true;
-      const trans = new CoordinateTransformer(
-        currentFrame.width,
-        currentFrame.height,
-        zoom,
-        panX,
-        panY,
-        currentFrame.rotationDeg,
-        rotated
-      );
+      const trans = CoordinateTransformer.forFrame(currentFrame, project.viewport, rotated);
       const { x: imgX, y: imgY } = trans.screenToImage(screenX, screenY);
 
       // Hit test frame annotations
       for (let i = currentFrame.annotations.length - 1; i >= 0; i--) {
         const ann = currentFrame.annotations[i];
+        if (!isAnnotationEditable(project.layers, ann, false)) continue;
         if (ann.type === ANNOTATION_POINT) {
           const dist = Math.hypot(ann.x - imgX, ann.y - imgY);
           if (dist < 10) return { type: 'frame', id: ann.id, index: i };
@@ -703,24 +2778,25 @@ export default function RadarLabeler() {
           if (imgX >= ann.x && imgX < ann.x + ann.w && imgY >= ann.y && imgY < ann.y + ann.h) {
             return { type: 'frame', id: ann.id, index: i };
           }
+        } else if (ann.type === ANNOTATION_POLYGON) {
+          if (pointInPolygon(imgX, imgY, ann.points)) return { type: 'frame', id: ann.id, index: i };
+        } else if (ann.type === ANNOTATION_POLYLINE) {
+          if (distanceToPolyline(imgX, imgY, ann.points) < VERTEX_HIT_RADIUS / zoom) {
+            return { type: 'frame', id: ann.id, index: i };
+          }
+        } else if (ann.type === ANNOTATION_OBB) {
+          if (pointInObb(imgX, imgY, ann)) return { type: 'frame', id: ann.id, index: i };
         }
       }
 
       // Hit test global buoys
       const nonRotated = false;
-      const transBuoy = new CoordinateTransformer(
-        currentFrame.width,
-        currentFrame.height,
-        zoom,
-        panX,
-        panY,
-        0,
-        nonRotated
-      );
+      const transBuoy = CoordinateTransformer.forFrame(currentFrame, project.viewport, nonRotated);
       const { x: buoyX, y: buoyY } = transBuoy.screenToImage(screenX, screenY);
 
-      for (let i = project.globalBuoys.length - 1; i >= 0; i--) {
-        const buoy = project.globalBuoys[i];
+      for (let i = frameGlobals.length - 1; i >= 0; i--) {
+        const buoy = frameGlobals[i];
+        if (!isAnnotationEditable(project.layers, buoy, true)) continue;
         if (buoy.type === ANNOTATION_POINT) {
           const dist = Math.hypot(buoy.x - buoyX, buoy.y - buoyY);
           if (dist < 10) return { type: 'global', id: buoy.id, index: i };
@@ -733,30 +2809,54 @@ export default function RadarLabeler() {
           ) {
             return { type: 'global', id: buoy.id, index: i };
           }
+        } else if (buoy.type === ANNOTATION_POLYGON) {
+          if (pointInPolygon(buoyX, buoyY, buoy.points)) return { type: 'global', id: buoy.id, index: i };
+        } else if (buoy.type === ANNOTATION_POLYLINE) {
+          if (distanceToPolyline(buoyX, buoyY, buoy.points) < VERTEX_HIT_RADIUS / zoom) {
+            return { type: 'global', id: buoy.id, index: i };
+          }
+        } else if (buoy.type === ANNOTATION_OBB) {
+          if (pointInObb(buoyX, buoyY, buoy)) return { type: 'global', id: buoy.id, index: i };
         }
       }
 
       return null;
     },
-    [currentFrame, project]
+    [currentFrame, project, frameGlobals]
   );
 
   const getHandleAtPoint = useCallback(
     (screenX, screenY, ann, isGlobal = false) => {
-      if (ann.type !== ANNOTATION_BBOX) return null;
-      const { zoom, panX, panY } = project.viewport;
+      if (ann.type !== ANNOTATION_BBOX && ann.type !== ANNOTATION_OBB && !hasVertices(ann)) return null;
       const rotated = !isGlobal;
-      const trans = new CoordinateTransformer(
-        currentFrame.width,
-        currentFrame.height,
-        zoom,
-        panX,
-        panY,
-        isGlobal ? 0 : currentFrame.rotationDeg,
-        rotated
-      );
+      const trans = CoordinateTransformer.forFrame(currentFrame, project.viewport, rotated);
+
+      if (hasVertices(ann)) {
+        const screenPts = ann.points.map((p) => trans.imageToScreen(p.x, p.y));
+        // Vertices take priority over edge midpoints
+        for (let i = 0; i < screenPts.length; i++) {
+          const dist = Math.hypot(screenPts[i].x - screenX, screenPts[i].y - screenY);
+          if (dist < VERTEX_HIT_RADIUS) return `vertex:${i}`;
+        }
+        // Polylines have no closing edge
+        const edgeCount = ann.type === ANNOTATION_POLYGON ? screenPts.length : screenPts.length - 1;
+        for (let i = 0; i < edgeCount; i++) {
+          const a = screenPts[i];
+          const b = screenPts[(i + 1) % screenPts.length];
+          const dist = Math.hypot((a.x + b.x) / 2 - screenX, (a.y + b.y) / 2 - screenY);
+          if (dist < VERTEX_HIT_RADIUS) return `edge:${i}`;
+        }
+        return null;
+      }
+
+      if (ann.type === ANNOTATION_OBB) {
+        const handles = getObbScreenHandles(ann, trans);
+        for (const h of handles) {
+          if (Math.hypot(h.sx - screenX, h.sy - screenY) < VERTEX_HIT_RADIUS) return h.name;
+        }
+        return null;
+      }
 
-      const handleSize = 8 / zoom;
       const { x: sx1, y: sy1 } = trans.imageToScreen(ann.x, ann.y);
       const { x: sx2, y: sy2 } = trans.imageToScreen(ann.x + ann.w, ann.y + ann.h);
 
@@ -773,13 +2873,48 @@ export default function RadarLabeler() {
 
       for (const h of handles) {
         const dist = Math.hypot(h.sx - screenX, h.sy - screenY);
-        if (dist < handleSize * 1.5) return h.name;
+        if (dist < VERTEX_HIT_RADIUS) return h.name;
       }
       return null;
     },
     [project, currentFrame]
   );
 
+  // Annotations lying entirely inside a screen rectangle, appended to `base` without duplicates
+  const getAnnotationsInRect = useCallback(
+    (a, b, base = []) => {
+      if (!currentFrame) return base;
+      const minX = Math.min(a.x, b.x);
+      const maxX = Math.max(a.x, b.x);
+      const minY = Math.min(a.y, b.y);
+      const maxY = Math.max(a.y, b.y);
+      const result = [...base];
+      const collect = (anns, type, trans) => {
+        for (const ann of anns) {
+          if (result.some((i) => i.type === type && i.id === ann.id)) continue;
+          if (!isAnnotationEditable(project.layers, ann, type === 'global')) continue;
+          const inside = getAnnotationOutline(ann).every((p) => {
+            const s = trans.imageToScreen(p.x, p.y);
+            return s.x >= minX && s.x <= maxX && s.y >= minY && s.y <= maxY;
+          });
+          if (inside) result.push({ type, id: ann.id });
+        }
+      };
+      collect(
+        currentFrame.annotations,
+        'frame',
+        CoordinateTransformer.forFrame(currentFrame, project.viewport)
+      );
+      collect(
+        frameGlobals,
+        'global',
+        CoordinateTransformer.forFrame(currentFrame, project.viewport, false)
+      );
+      return result;
+    },
+    [project, currentFrame, frameGlobals]
+  );
+
   // ========== CANVAS RENDERING ==========
   useEffect(() => {
     if (!canvasRef.current || !currentFrame) return;
@@ -797,50 +2932,43 @@ export default function RadarLabeler() {
     ctx.fillStyle = '#1a1a1a';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-    // Load and draw frame image
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    img.src = currentFrame.url;
-    img.onload = () => {
+    // Load and draw frame image (scan-converted for polar frames)
+    let cancelled = false;
+    loadFrameImage(currentFrame).then((img) => {
+      if (cancelled) return;
       // Draw boats (rotated space)
       ctx.save();
       ctx.translate(panX, panY);
       ctx.scale(zoom, zoom);
-      ctx.translate(currentFrame.width / 2, currentFrame.height / 2);
-      ctx.rotate((currentFrame.rotationDeg * Math.PI) / 180);
-      ctx.translate(-currentFrame.width / 2, -currentFrame.height / 2);
+      const { rotationDeg, dx, dy, pivotX, pivotY } = getFrameTransform(currentFrame);
+      ctx.translate(pivotX + dx, pivotY + dy);
+      ctx.rotate((rotationDeg * Math.PI) / 180);
+      ctx.translate(-pivotX, -pivotY);
       ctx.drawImage(img, 0, 0);
       ctx.restore();
 
       // Draw frame annotations (boats in rotated space)
       const rotated = true;
-      const transBots = new CoordinateTransformer(
-        currentFrame.width,
-        currentFrame.height,
-        zoom,
-        panX,
-        panY,
-        currentFrame.rotationDeg,
-        rotated
-      );
-      drawAnnotations(ctx, currentFrame.annotations, transBots, COLOR_BOAT, false);
+      const transBots = CoordinateTransformer.forFrame(currentFrame, project.viewport, rotated);
+      drawAnnotations(ctx, currentFrame.annotations, transBots, false);
 
       // Draw global buoys (non-rotated space)
       const nonRotated = false;
-      const transBuoys = new CoordinateTransformer(
-        currentFrame.width,
-        currentFrame.height,
-        zoom,
-        panX,
-        panY,
-        0,
-        nonRotated
-      );
-      drawAnnotations(ctx, project.globalBuoys, transBuoys, COLOR_BUOY, true);
+      const transBuoys = CoordinateTransformer.forFrame(currentFrame, project.viewport, nonRotated);
+      drawAnnotations(ctx, frameGlobals, transBuoys, true);
+
+      // Draw detector candidates and track predictions (frame image space)
+      drawSuggestions(ctx, frameSuggestions, transBots);
+      drawGhosts(ctx, ghosts, transBots);
+
+      // Draw in-progress polygon/polyline
+      if (shapeDraft) {
+        drawShapeDraft(ctx, shapeDraft, shapeDraft.isGlobal ? transBuoys : transBots, cursorPos);
+      }
 
       // Draw drag preview if active
       if (isDragging && dragStart && dragCurrent) {
-        drawDragPreview(ctx, dragStart, dragCurrent);
+        drawDragPreview(ctx, dragStart, dragCurrent, !dragStart.marquee && drawTool?.geometry === ANNOTATION_OBB);
       }
 
       // Draw HUD
@@ -853,16 +2981,44 @@ export default function RadarLabeler() {
         zoom,
         panX,
         panY,
-        currentFrame.rotationDeg
+        currentFrame.rotationDeg,
+        getReviewStatus(currentFrame),
+        currentFrame.polar ? polarCursor : null
       );
+    }).catch((err) => console.warn('Could not draw frame image:', err));
+    return () => {
+      cancelled = true;
     };
-  }, [project, currentFrame, isDragging, dragStart, dragCurrent, hoveredId, selection]);
+  }, [
+    project,
+    currentFrame,
+    polarCursor,
+    tool,
+    isDragging,
+    dragStart,
+    dragCurrent,
+    hoveredId,
+    selection,
+    selectedItems,
+    shapeDraft,
+    cursorPos,
+    reviewMode,
+    frameSuggestions,
+    ghosts,
+  ]);
 
-  function drawAnnotations(ctx, anns, trans, defaultColor, isGlobal) {
+  function drawAnnotations(ctx, anns, trans, isGlobal) {
     for (const ann of anns) {
-      const isSelected = selection?.id === ann.id && selection?.type === (isGlobal ? 'global' : 'frame');
+      const layer = getAnnotationLayer(project.layers, ann, isGlobal);
+      if (!layer.visible) continue;
+      ctx.globalAlpha = layer.opacity;
+      const isSelected = isItemSelected(isGlobal ? 'global' : 'frame', ann.id);
+      // Edit handles only for a single selection
+      const showHandles = isSelected && selection?.id === ann.id;
       const isHovered = hoveredId === ann.id;
-      const color = isSelected || isHovered ? COLOR_SELECTED : defaultColor;
+      const cls = classById[ann.label];
+      const color = isSelected || isHovered ? COLOR_SELECTED : cls?.color || COLOR_UNKNOWN_CLASS;
+      ctx.setLineDash(ann.interpolated ? [4, 4] : []);
 
       if (ann.type === ANNOTATION_POINT) {
         const { x: sx, y: sy } = trans.imageToScreen(ann.x, ann.y);
@@ -888,7 +3044,7 @@ export default function RadarLabeler() {
         ctx.lineWidth = 2;
         ctx.strokeRect(sx1, sy1, w, h);
 
-        if (isSelected) {
+        if (showHandles) {
           // Draw handles
           const handles = [
             [sx1, sy1],
@@ -905,36 +3061,598 @@ export default function RadarLabeler() {
             ctx.fillRect(hx - 4, hy - 4, 8, 8);
           }
         }
+      } else if (hasVertices(ann)) {
+        const screenPts = ann.points.map((p) => trans.imageToScreen(p.x, p.y));
+        const closed = ann.type === ANNOTATION_POLYGON;
+
+        ctx.beginPath();
+        screenPts.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        if (closed) {
+          ctx.closePath();
+          ctx.globalAlpha = 0.15 * layer.opacity;
+          ctx.fillStyle = color;
+          ctx.fill();
+          ctx.globalAlpha = layer.opacity;
+        }
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        if (showHandles) {
+          // Edge midpoints (drag to insert a vertex)
+          ctx.strokeStyle = COLOR_SELECTED;
+          ctx.lineWidth = 1;
+          const edgeCount = closed ? screenPts.length : screenPts.length - 1;
+          for (let i = 0; i < edgeCount; i++) {
+            const a = screenPts[i];
+            const b = screenPts[(i + 1) % screenPts.length];
+            ctx.strokeRect((a.x + b.x) / 2 - 3, (a.y + b.y) / 2 - 3, 6, 6);
+          }
+          // Vertices
+          screenPts.forEach(({ x, y }, i) => {
+            ctx.fillStyle = selection.vertex === i ? '#ffffff' : COLOR_SELECTED;
+            ctx.fillRect(x - 4, y - 4, 8, 8);
+          });
+        }
+      } else if (ann.type === ANNOTATION_OBB) {
+        const screenPts = getObbCorners(ann).map((p) => trans.imageToScreen(p.x, p.y));
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        screenPts.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.closePath();
+        ctx.stroke();
+
+        // Heading tick from center to bow
+        const handles = getObbScreenHandles(ann, trans);
+        const bow = handles.find((h) => h.name === 'bow');
+        const center = trans.imageToScreen(ann.x, ann.y);
+        ctx.beginPath();
+        ctx.moveTo(center.x, center.y);
+        ctx.lineTo(bow.sx, bow.sy);
+        ctx.stroke();
+
+        if (showHandles) {
+          const rotate = handles.find((h) => h.name === 'rotate');
+          ctx.strokeStyle = COLOR_SELECTED;
+          ctx.lineWidth = 1;
+          ctx.beginPath();
+          ctx.moveTo(bow.sx, bow.sy);
+          ctx.lineTo(rotate.sx, rotate.sy);
+          ctx.stroke();
+          for (const h of handles) {
+            ctx.fillStyle = COLOR_SELECTED;
+            if (h.name === 'rotate') {
+              ctx.beginPath();
+              ctx.arc(h.sx, h.sy, 5, 0, Math.PI * 2);
+              ctx.fill();
+            } else {
+              ctx.fillRect(h.sx - 4, h.sy - 4, 8, 8);
+            }
+          }
+        }
+      }
+
+      // Draw label; tracked annotations always show their track tag
+      const track = ann.trackId != null ? trackById[ann.trackId] : null;
+      if (isSelected || isHovered || track) {
+        const anchor = getAnnotationAnchor(ann);
+        const { x: sx, y: sy } = trans.imageToScreen(anchor.x, anchor.y);
+        ctx.font = 'bold 12px monospace';
+        let textX = sx + 10;
+        if (track) {
+          const tag = `T${track.id}`;
+          ctx.fillStyle = track.color;
+          ctx.fillText(tag, textX, sy - 10);
+          textX += ctx.measureText(`${tag} `).width;
+        }
+        if (isSelected || isHovered) {
+          let text = `${(cls?.name || ann.label).toUpperCase()} ${ann.type.toUpperCase()}`;
+          if (ann.type === ANNOTATION_OBB) {
+            text += ` HDG ${normalizeAngle(trans.imageAngleToScreen(ann.angle)).toFixed(1)}°`;
+          }
+          ctx.fillStyle = COLOR_TEXT;
+          ctx.fillText(text, textX, sy - 10);
+        }
+      }
+
+      // Review badge; unreviewed annotations only get one in review mode
+      const review = getReviewStatus(ann);
+      if (review !== REVIEW_UNREVIEWED || reviewMode) {
+        const anchor = getAnnotationAnchor(ann);
+        const { x: sx, y: sy } = trans.imageToScreen(anchor.x, anchor.y);
+        drawReviewBadge(ctx, sx - 12, sy - 12, review);
+      }
+    }
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1;
+  }
+
+  function drawReviewBadge(ctx, x, y, review) {
+    const style = REVIEW_STYLES[review];
+    ctx.setLineDash([]);
+    ctx.fillStyle = style.color;
+    ctx.beginPath();
+    ctx.arc(x, y, 7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#000000';
+    ctx.font = 'bold 10px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(style.badge, x, y + 1);
+    ctx.textAlign = 'start';
+    ctx.textBaseline = 'alphabetic';
+  }
+
+  function drawSuggestions(ctx, items, trans) {
+    const layer = getLayer(project.layers, LAYER_SUGGESTIONS);
+    if (!layer.visible || items.length === 0) return;
+    ctx.globalAlpha = layer.opacity;
+    ctx.lineWidth = 1.5;
+    ctx.font = '10px monospace';
+    ctx.setLineDash([3, 3]);
+    // Padded to a clickable size on screen, matching getSuggestionAtPoint
+    const slop = SUGGESTION_HIT_SLOP / project.viewport.zoom;
+    for (const s of items) {
+      const style = SUGGESTION_STYLES[s.source];
+      ctx.strokeStyle = style.color;
+      ctx.fillStyle = style.color;
+      const corners = [
+        trans.imageToScreen(s.x - slop, s.y - slop),
+        trans.imageToScreen(s.x + s.w + slop, s.y - slop),
+        trans.imageToScreen(s.x + s.w + slop, s.y + s.h + slop),
+        trans.imageToScreen(s.x - slop, s.y + s.h + slop),
+      ];
+      ctx.beginPath();
+      corners.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      ctx.closePath();
+      ctx.stroke();
+      ctx.fillText(formatSuggestion(s, classById), corners[0].x, corners[0].y - 3);
+    }
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1;
+  }
+
+  function drawGhosts(ctx, items, trans) {
+    ctx.lineWidth = 1.5;
+    ctx.font = 'bold 12px monospace';
+    ctx.setLineDash([2, 4]);
+    for (const { trackId, ann, sigma } of items) {
+      const color = trackById[trackId]?.color || COLOR_UNKNOWN_CLASS;
+      const outline = getAnnotationOutline(ann).map((p) => trans.imageToScreen(p.x, p.y));
+      const anchor = trans.imageToScreen(getAnnotationAnchor(ann).x, getAnnotationAnchor(ann).y);
+      ctx.globalAlpha = 0.7;
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      if (outline.length === 1) {
+        // Points: a ring two standard deviations wide
+        ctx.arc(outline[0].x, outline[0].y, Math.max(6, 2 * sigma * project.viewport.zoom), 0, Math.PI * 2);
+      } else {
+        outline.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        if (ann.type !== ANNOTATION_POLYLINE) ctx.closePath();
+      }
+      ctx.stroke();
+      ctx.fillText(`T${trackId}?`, anchor.x + 10, anchor.y - 10);
+    }
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1;
+  }
+
+  function drawShapeDraft(ctx, draft, trans, cursor) {
+    const screenPts = draft.points.map((p) => trans.imageToScreen(p.x, p.y));
+    if (screenPts.length === 0) return;
+
+    ctx.strokeStyle = COLOR_SELECTED;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    screenPts.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.stroke();
+
+    // Rubber-band segment to the cursor
+    if (cursor) {
+      const last = screenPts[screenPts.length - 1];
+      ctx.setLineDash([5, 5]);
+      ctx.beginPath();
+      ctx.moveTo(last.x, last.y);
+      ctx.lineTo(cursor.x, cursor.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    screenPts.forEach(({ x, y }, i) => {
+      ctx.fillStyle = i === 0 ? '#ffffff' : COLOR_SELECTED;
+      ctx.fillRect(x - 4, y - 4, 8, 8);
+    });
+  }
+
+  function drawDragPreview(ctx, start, current, asHeading = false) {
+    if (asHeading) {
+      // Oriented boxes are dragged stern to bow
+      ctx.strokeStyle = COLOR_SELECTED;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([5, 5]);
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(current.x, current.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.arc(current.x, current.y, 4, 0, Math.PI * 2);
+      ctx.fillStyle = COLOR_SELECTED;
+      ctx.fill();
+      return;
+    }
+    const x = Math.min(start.x, current.x);
+    const y = Math.min(start.y, current.y);
+    const w = Math.abs(current.x - start.x);
+    const h = Math.abs(current.y - start.y);
+    ctx.strokeStyle = COLOR_SELECTED;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 5]);
+    ctx.strokeRect(x, y, w, h);
+    ctx.setLineDash([]);
+  }
+
+  // polarCursor: { range, bearing } under the cursor on polar frames
+  function drawHUD(ctx, cw, ch, frameIdx, frameCount, zoom, panX, panY, rot, review, polarCursor) {
+    let text = `Frame ${frameIdx + 1}/${frameCount}  Zoom ${zoom.toFixed(2)}x  Pan(${panX.toFixed(0)}, ${panY.toFixed(0)})  Rot ${rot.toFixed(2)}°`;
+    if (polarCursor) text += `  Range ${polarCursor.range.toFixed(1)} m  Brg ${polarCursor.bearing.toFixed(1)}°`;
+    ctx.fillStyle = '#cccccc';
+    ctx.font = '11px monospace';
+    ctx.fillText(text, 10, ch - 10);
+    if (reviewMode || review !== REVIEW_UNREVIEWED) {
+      const reviewText = `${reviewMode ? 'REVIEW MODE  ' : ''}Frame ${REVIEW_STYLES[review].name}`;
+      ctx.fillStyle = REVIEW_STYLES[review].color;
+      ctx.fillText(reviewText, 10, ch - 26);
+    }
+  }
+
+  // ========== Image pixels ==========
+  // Pixels of the current frame for intensity-based tools, decoded off the render path
+  useEffect(() => {
+    if (!currentFrame?.url) return;
+    let cancelled = false;
+    const { url, polar } = currentFrame;
+    loadFramePixels(currentFrame)
+      .then((data) => {
+        if (!cancelled) framePixelsRef.current = { url, polar, data };
+      })
+      .catch((err) => console.warn('Could not read frame pixels:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [currentFrame?.url, currentFrame?.polar]);
+
+  const getFramePixels = useCallback(() => {
+    const pixels = framePixelsRef.current;
+    return pixels && pixels.url === currentFrame?.url && pixels.polar === currentFrame?.polar ? pixels.data : null;
+  }, [currentFrame]);
+
+  // Snaps a point (frame image space, or scene space for globals) to the local intensity peak/centroid
+  const snapPoint = useCallback(
+    (x, y, isGlobal) => {
+      const pixels = getFramePixels();
+      if (!snap.enabled || !pixels) return { x, y };
+      if (!isGlobal) return snapToIntensity(pixels, x, y, snap.radius, snap.mode);
+      const p = sceneToFrameImage(currentFrame, x, y);
+      const snapped = snapToIntensity(pixels, p.x, p.y, snap.radius, snap.mode);
+      return frameImageToScene(currentFrame, snapped.x, snapped.y);
+    },
+    [snap, currentFrame, getFramePixels]
+  );
+
+  // Magic wand: box around the radar return at a click (frame image space, or
+  // scene space for globals), or null if there is no usable region
+  const fitBoxAtPoint = useCallback(
+    (x, y, isGlobal) => {
+      const pixels = getFramePixels();
+      if (!pixels) return null;
+      const seed = isGlobal ? sceneToFrameImage(currentFrame, x, y) : { x, y };
+      if (seed.x < 0 || seed.y < 0 || seed.x >= pixels.width || seed.y >= pixels.height) return null;
+      const region = growRegion(pixels, seed.x, seed.y, wand.tolerance);
+      if (!region) {
+        setStatus('Magic wand region leaked into the background; lower the tolerance');
+        return null;
+      }
+      const box = fitRegionBox(
+        region,
+        pixels.width,
+        isGlobal ? (px, py) => frameImageToScene(currentFrame, px, py) : null
+      );
+      return padBox(box);
+    },
+    [currentFrame, wand.tolerance, getFramePixels]
+  );
+
+  // ========== Suggestions ==========
+  useEffect(() => {
+    const detector = detectorRef.current;
+    const modelRunner = modelRef.current;
+    return () => {
+      detector.terminate();
+      modelRunner.terminate();
+    };
+  }, []);
+
+  // Frame-scope classes that can hold an accepted detection box
+  const suggestionClasses = useMemo(
+    () => classes.filter((c) => c.scope === SCOPE_FRAME && c.geometries.includes(ANNOTATION_BBOX)),
+    [classes]
+  );
+
+  // Replaces the current frame's suggestions from `source` with a fresh detector run
+  const runDetector = useCallback(
+    async (source, buildRequest) => {
+      if (!currentFrame) return;
+      const frameId = currentFrame.id;
+      const { name } = SUGGESTION_STYLES[source];
+      setDetecting(true);
+      setStatus(`Running ${name} detector...`);
+      try {
+        const detections = await detectorRef.current.run(source, await buildRequest());
+        setSuggestions((prev) => ({
+          ...prev,
+          [frameId]: [
+            ...(prev[frameId] || []).filter((s) => s.source !== source),
+            ...detections.map((d) => ({ ...d, id: generateId(), source })),
+          ],
+        }));
+        setStatus(`${name} detector found ${detections.length} candidate(s)`);
+      } catch (err) {
+        console.error('Detector failed:', err);
+        setStatus(`${name} detector failed: ${err.message}`);
+      } finally {
+        setDetecting(false);
+      }
+    },
+    [currentFrame]
+  );
+
+  const loadCurrentPixels = useCallback(
+    async () => getFramePixels() || loadFramePixels(currentFrame),
+    [currentFrame, getFramePixels]
+  );
+
+  const runCfarDetector = useCallback(
+    () => runDetector(SUGGEST_CFAR, async () => ({ image: await loadCurrentPixels(), params: cfar })),
+    [runDetector, loadCurrentPixels, cfar]
+  );
+
+  // Differences the current frame against the previous and next frames
+  const runMotionDetector = useCallback(() => {
+    const neighbors = [project.currentIndex - 1, project.currentIndex + 1]
+      .map((i) => project.frames[i])
+      .filter(Boolean);
+    if (neighbors.length === 0) {
+      setStatus('Motion detection needs at least two frames');
+      return;
+    }
+    runDetector(SUGGEST_MOTION, async () => ({
+      image: await loadCurrentPixels(),
+      transform: getFrameTransform(currentFrame),
+      neighbors: await Promise.all(
+        neighbors.map(async (f) => ({ image: await loadFramePixels(f), transform: getFrameTransform(f) }))
+      ),
+      params: motion,
+    }));
+  }, [project.frames, project.currentIndex, currentFrame, runDetector, loadCurrentPixels, motion]);
+
+  // Runs the loaded ONNX model on the chosen frames (the current one by default);
+  // each frame's previous model suggestions are replaced
+  const runModel = useCallback(async () => {
+    if (!model) return;
+    const { map, errors } = parseClassMap(modelConfig.classMap, suggestionClasses);
+    if (errors.length > 0) {
+      setStatus(`Class map: ${errors.join('; ')}`);
+      return;
+    }
+    const mapped = Object.keys(map).length > 0;
+    const toIndex = (value, fallback) =>
+      value === '' ? fallback : Math.max(0, Math.min(project.frames.length - 1, parseInt(value, 10) - 1 || 0));
+    const first = toIndex(modelRange.first, project.currentIndex);
+    const last = Math.max(first, toIndex(modelRange.last, first));
+    const params = { size: modelConfig.size, iou: modelConfig.iou, objectness: modelConfig.objectness };
+    let total = 0;
+    setDetecting(true);
+    try {
+      for (let i = first; i <= last; i++) {
+        const frame = project.frames[i];
+        setStatus(`Running model on frame ${i + 1} (${i - first + 1}/${last - first + 1})...`);
+        const image = i === project.currentIndex ? await loadCurrentPixels() : await loadFramePixels(frame);
+        const detections = await modelRef.current.run('detect', { image, params });
+        // With a class map, model classes that are not in it are dropped
+        const items = detections
+          .filter((d) => !mapped || map[d.classIndex])
+          .map((d) => ({ ...d, id: generateId(), source: SUGGEST_MODEL, classId: map[d.classIndex] }));
+        total += items.length;
+        setSuggestions((prev) => ({
+          ...prev,
+          [frame.id]: [...(prev[frame.id] || []).filter((s) => s.source !== SUGGEST_MODEL), ...items],
+        }));
+      }
+      setStatus(`Model proposed ${total} box(es) on ${last - first + 1} frame(s)`);
+    } catch (err) {
+      console.error('Model inference failed:', err);
+      setStatus(`Model inference failed: ${err.message}`);
+    } finally {
+      setDetecting(false);
+    }
+  }, [model, modelConfig, modelRange, suggestionClasses, project.frames, project.currentIndex, loadCurrentPixels]);
+
+  const handleModelFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      setStatus(`Loading model ${file.name}...`);
+      const buffer = await file.arrayBuffer();
+      const info = await modelRef.current.run('load', { model: buffer }, [buffer]);
+      setModel({ name: file.name, ...info });
+      setStatus(`Model ${file.name} loaded`);
+    } catch (err) {
+      console.error('Error loading model:', err);
+      setModel(null);
+      setStatus(`Failed to load model: ${err.message}`);
+    }
+    e.target.value = '';
+  };
+
+  // Registers frames against the reference frame and stores the estimated
+  // rotationDeg with its quality score (rotationScore) as one undo step
+  const estimateRotation = useCallback(
+    async (indices) => {
+      const refIndex = Math.min(rotationReference, project.frames.length - 1);
+      const targets = indices.filter((i) => i !== refIndex);
+      if (targets.length === 0) {
+        setStatus('The reference frame keeps its rotation; pick another frame');
+        return;
+      }
+      const reference = project.frames[refIndex];
+      const results = {};
+      setDetecting(true);
+      try {
+        const refPixels = await loadFramePixels(reference);
+        for (const [n, i] of targets.entries()) {
+          setStatus(`Estimating rotation of frame ${i + 1} (${n + 1}/${targets.length})...`);
+          results[project.frames[i].id] = await detectorRef.current.run('rotation', {
+            image: await loadFramePixels(project.frames[i]),
+            transform: getFrameTransform(project.frames[i]),
+            reference: refPixels,
+            referenceTransform: getFrameTransform(reference),
+            params: { min: ROTATION_MIN, max: ROTATION_MAX },
+          });
+        }
+      } catch (err) {
+        console.error('Rotation estimation failed:', err);
+        setStatus(`Rotation estimation failed: ${err.message}`);
+        return;
+      } finally {
+        setDetecting(false);
       }
 
-      // Draw label
-      if (isSelected || isHovered) {
-        const { x: sx, y: sy } = trans.imageToScreen(ann.x, ann.y);
-        ctx.fillStyle = COLOR_TEXT;
-        ctx.font = 'bold 12px monospace';
-        ctx.fillText(`${ann.label.toUpperCase()} ${ann.type.toUpperCase()}`, sx + 10, sy - 10);
+      // Applied to the latest project, by frame id, so edits made while the search ran are kept
+      updateProject((proj) => ({
+        ...proj,
+        frames: proj.frames.map((f) => {
+          const result = results[f.id];
+          return result ? { ...f, rotationDeg: result.rotationDeg, rotationScore: Math.round(result.score * 1000) / 1000 } : f;
+        }),
+      }));
+      const weak = targets.filter((i) => results[project.frames[i].id].score < ROTATION_SCORE_WARN);
+      if (targets.length === 1) {
+        const { rotationDeg, score } = results[project.frames[targets[0]].id];
+        setStatus(
+          `Frame ${targets[0] + 1}: ${rotationDeg.toFixed(2)}° (score ${score.toFixed(2)})${weak.length ? ' — check it' : ''}`
+        );
+      } else {
+        setStatus(
+          `Estimated ${targets.length} frames` +
+            (weak.length ? `; check frames ${weak.map((i) => i + 1).join(', ')} (score < ${ROTATION_SCORE_WARN})` : '')
+        );
       }
-    }
-  }
+    },
+    [project.frames, rotationReference, updateProject]
+  );
 
-  function drawDragPreview(ctx, start, current) {
-    const x = Math.min(start.x, current.x);
-    const y = Math.min(start.y, current.y);
-    const w = Math.abs(current.x - start.x);
-    const h = Math.abs(current.y - start.y);
-    ctx.strokeStyle = COLOR_SELECTED;
-    ctx.lineWidth = 2;
-    ctx.setLineDash([5, 5]);
-    ctx.strokeRect(x, y, w, h);
-    ctx.setLineDash([]);
-  }
+  // Drops suggestions of the current frame; `ids` null means all of them
+  const dismissSuggestions = useCallback(
+    (ids) => {
+      if (!currentFrame) return;
+      const frameId = currentFrame.id;
+      setSuggestions((prev) => ({
+        ...prev,
+        [frameId]: ids ? (prev[frameId] || []).filter((s) => !ids.includes(s.id)) : [],
+      }));
+    },
+    [currentFrame]
+  );
 
-  function drawHUD(ctx, cw, ch, frameIdx, frameCount, zoom, panX, panY, rot) {
-    const text = `Frame ${frameIdx + 1}/${frameCount}  Zoom ${zoom.toFixed(2)}x  Pan(${panX.toFixed(0)}, ${panY.toFixed(0)})  Rot ${rot.toFixed(2)}°`;
-    ctx.fillStyle = '#cccccc';
-    ctx.font = '11px monospace';
-    ctx.fillText(text, 10, ch - 10);
-  }
+  // Turns suggestions into regular frame annotations; `ids` null means all of them
+  const acceptSuggestions = useCallback(
+    (ids) => {
+      const accepted = ids ? frameSuggestions.filter((s) => ids.includes(s.id)) : frameSuggestions;
+      if (accepted.length === 0) return;
+      const fallback = suggestionClasses.find((c) => c.id === suggestionClassId) || suggestionClasses[0];
+      if (!fallback) {
+        setStatus('No frame class with a box geometry to accept suggestions as');
+        return;
+      }
+      // Model suggestions may carry a class from the class map
+      const anns = accepted.map((s) => {
+        const box = padBox(s);
+        const classId = suggestionClasses.some((c) => c.id === s.classId) ? s.classId : fallback.id;
+        return createAnnotation(ANNOTATION_BBOX, classId, box.x, box.y, box.w, box.h);
+      });
+      updateFrameAnnotations(project.currentIndex, [...currentFrame.annotations, ...anns]);
+      dismissSuggestions(accepted.map((s) => s.id));
+      setStatus(`Accepted ${anns.length} suggestion(s)`);
+    },
+    [
+      frameSuggestions,
+      suggestionClasses,
+      suggestionClassId,
+      project.currentIndex,
+      currentFrame,
+      updateFrameAnnotations,
+      dismissSuggestions,
+    ]
+  );
+
+  const getSuggestionAtPoint = useCallback(
+    (screenX, screenY) => {
+      if (!currentFrame) return null;
+      const layer = getLayer(project.layers, LAYER_SUGGESTIONS);
+      if (!layer.visible || layer.locked) return null;
+      const { zoom } = project.viewport;
+      const trans = CoordinateTransformer.forFrame(currentFrame, project.viewport);
+      const { x, y } = trans.screenToImage(screenX, screenY);
+      const slop = SUGGESTION_HIT_SLOP / zoom;
+      return (
+        frameSuggestions.find(
+          (s) => x >= s.x - slop && x < s.x + s.w + slop && y >= s.y - slop && y < s.y + s.h + slop
+        ) || null
+      );
+    },
+    [currentFrame, project.layers, project.viewport, frameSuggestions]
+  );
+
+  // ========== Track predictions ==========
+  const getGhostAtPoint = useCallback(
+    (screenX, screenY) => {
+      if (!currentFrame || ghosts.length === 0) return null;
+      const { zoom } = project.viewport;
+      const trans = CoordinateTransformer.forFrame(currentFrame, project.viewport);
+      const { x, y } = trans.screenToImage(screenX, screenY);
+      return (
+        ghosts.find(({ ann }) => {
+          const outline = getAnnotationOutline(ann);
+          if (outline.length === 1) return Math.hypot(ann.x - x, ann.y - y) < 10;
+          if (ann.type === ANNOTATION_POLYLINE) return distanceToPolyline(x, y, outline) < VERTEX_HIT_RADIUS / zoom;
+          return pointInPolygon(x, y, outline);
+        }) || null
+      );
+    },
+    [currentFrame, project.viewport, ghosts]
+  );
+
+  // Adds a ghost to the frame; with point snapping on (and `exact` false) it is
+  // first moved so its center sits on the nearby return
+  const confirmGhost = useCallback(
+    (ghost, exact) => {
+      let ann = ghost.ann;
+      const pixels = getFramePixels();
+      const snapped = !exact && snap.enabled && pixels;
+      if (snapped) {
+        const c = ann.type === ANNOTATION_BBOX ? { x: ann.x + ann.w / 2, y: ann.y + ann.h / 2 } : getSceneCenter(ann);
+        const target = snapToIntensity(pixels, c.x, c.y, snap.radius, snap.mode);
+        ann = translateAnnotation(ann, target.x - c.x, target.y - c.y);
+      }
+      updateFrameAnnotations(project.currentIndex, [...currentFrame.annotations, ann]);
+      setSelection({ type: 'frame', id: ann.id, index: currentFrame.annotations.length });
+      setStatus(`Confirmed T${ghost.trackId}${snapped ? ' at the snapped position' : ' at the prediction'}`);
+    },
+    [currentFrame, project.currentIndex, snap, getFramePixels, updateFrameAnnotations, setSelection]
+  );
 
   // ========== MOUSE EVENTS ==========
   const handleCanvasMouseDown = useCallback(
@@ -944,34 +3662,130 @@ export default function RadarLabeler() {
       const screenX = e.clientX - rect.left;
       const screenY = e.clientY - rect.top;
 
+      if (georefPick) {
+        pickGeoreferencePoint(screenX, screenY);
+        return;
+      }
+
       if (tool === TOOL_PAN) {
         setIsDragging(true);
         setDragStart({ x: screenX, y: screenY });
         return;
       }
 
+      // Everything until mouse up is one undo step
+      historyGestureRef.current = generateId();
+
       if (tool === TOOL_SELECT) {
-        const hit = getAnnotationAtPoint(screenX, screenY);
+        // Handles of the current selection can sit outside its body, so check them first
+        let hit = null;
+        let handle = null;
+        if (selection) {
+          const selected =
+            selection.type === 'global'
+              ? frameGlobals.find((b) => b.id === selection.id)
+              : currentFrame.annotations.find((a) => a.id === selection.id);
+          if (selected && isAnnotationEditable(project.layers, selected, selection.type === 'global')) {
+            handle = getHandleAtPoint(screenX, screenY, selected, selection.type === 'global');
+            if (handle) hit = selection;
+          }
+        }
+        if (!hit) {
+          hit = getAnnotationAtPoint(screenX, screenY);
+          const suggestion = hit ? null : getSuggestionAtPoint(screenX, screenY);
+          if (suggestion) {
+            // Clicking a detector candidate accepts it
+            acceptSuggestions([suggestion.id]);
+            return;
+          }
+          const ghost = hit ? null : getGhostAtPoint(screenX, screenY);
+          if (ghost) {
+            // Clicking a predicted position confirms it; Shift keeps it unsnapped
+            confirmGhost(ghost, e.shiftKey);
+            return;
+          }
+          if (hit && e.shiftKey) {
+            // Shift+click adds to or removes from the selection
+            toggleSelectionItem(hit);
+            return;
+          }
+          if (hit && selectedItems.length > 1 && isItemSelected(hit.type, hit.id)) {
+            // Dragging any member of a multi-selection moves the whole group
+            setIsDragging(true);
+            setDragStart({ x: screenX, y: screenY, group: true });
+            return;
+          }
+          if (hit) {
+            const ann =
+              hit.type === 'global' ? frameGlobals[hit.index] : currentFrame.annotations[hit.index];
+            handle = getHandleAtPoint(screenX, screenY, ann, hit.type === 'global');
+          }
+        }
+
         if (hit) {
-          setSelection(hit);
-          const ann =
-            hit.type === 'global' ? project.globalBuoys[hit.index] : currentFrame.annotations[hit.index];
-          const handle = getHandleAtPoint(screenX, screenY, ann, hit.type === 'global');
+          const isGlobal = hit.type === 'global';
+          const polyHandle = parsePolygonHandle(handle);
+          if (polyHandle?.kind === 'vertex' && e.altKey) {
+            // Alt+click removes a polygon vertex
+            deleteAnnotationVertex(hit.id, polyHandle.index, isGlobal);
+            setSelection({ ...hit, vertex: null });
+            return;
+          }
+          if (polyHandle?.kind === 'edge') {
+            // Dragging an edge midpoint inserts a new vertex and drags it
+            insertAnnotationVertex(hit.id, polyHandle.index, isGlobal);
+            handle = `vertex:${polyHandle.index + 1}`;
+          }
+          const vertex = parsePolygonHandle(handle)?.index ?? null;
+          const ann = isGlobal
+            ? project.globalBuoys.find((b) => b.id === hit.id)
+            : currentFrame.annotations.find((a) => a.id === hit.id);
+          // Box resizing works from the box as it was when the drag started
+          const orig = ann?.type === ANNOTATION_BBOX ? { x: ann.x, y: ann.y, w: ann.w, h: ann.h } : null;
+          setSelection({ ...hit, vertex });
           setIsDragging(true);
-          setDragStart({ x: screenX, y: screenY, handle, hit });
+          // Alt+dragging the body of a global annotation corrects its position in this frame only
+          const localOffset = isGlobal && !handle && e.altKey;
+          setDragStart({ x: screenX, y: screenY, handle, hit, orig, localOffset });
         } else {
-          setSelection(null);
+          // Empty canvas: start a rubber-band selection (Shift adds to the current one)
+          if (!e.shiftKey) setSelection(null);
+          setIsDragging(true);
+          setDragStart({ x: screenX, y: screenY, marquee: true, additive: e.shiftKey });
         }
         return;
       }
 
+      // Polygons and polylines are built vertex by vertex on mouse up
+      if (VERTEX_GEOMETRIES.includes(drawTool?.geometry)) return;
+
       // Drawing mode
-      if ([TOOL_BOAT_POINT, TOOL_BOAT_BOX, TOOL_BUOY_POINT, TOOL_BUOY_BOX].includes(tool)) {
+      if (drawTool) {
         setIsDragging(true);
         setDragStart({ x: screenX, y: screenY });
       }
     },
-    [tool, currentFrame, project, getAnnotationAtPoint, getHandleAtPoint]
+    [
+      tool,
+      currentFrame,
+      project,
+      selection,
+      selectedItems,
+      isItemSelected,
+      toggleSelectionItem,
+      setSelection,
+      frameGlobals,
+      getAnnotationAtPoint,
+      getSuggestionAtPoint,
+      acceptSuggestions,
+      getGhostAtPoint,
+      confirmGhost,
+      getHandleAtPoint,
+      insertAnnotationVertex,
+      deleteAnnotationVertex,
+      georefPick,
+      pickGeoreferencePoint,
+    ]
   );
 
   const handleCanvasMouseMove = useCallback(
@@ -981,6 +3795,10 @@ export default function RadarLabeler() {
       const screenX = e.clientX - rect.left;
       const screenY = e.clientY - rect.top;
 
+      if (currentFrame.polar) {
+        setPolarCursor(PolarTransformer.forFrame(currentFrame, project.viewport).screenToPolar(screenX, screenY));
+      }
+
       if (tool === TOOL_PAN && isDragging && dragStart) {
         const dx = screenX - dragStart.x;
         const dy = screenY - dragStart.y;
@@ -990,46 +3808,59 @@ export default function RadarLabeler() {
       }
 
       if (tool === TOOL_SELECT && isDragging && dragStart) {
-        if (dragStart.handle && dragStart.hit) {
+        if (dragStart.marquee) {
+          setDragCurrent({ x: screenX, y: screenY });
+        } else if (dragStart.handle && dragStart.hit) {
           // Resize
-          const { zoom, panX, panY } = project.viewport;
           const isGlobal = dragStart.hit.type === 'global';
-          const trans = new CoordinateTransformer(
-            currentFrame.width,
-            currentFrame.height,
-            zoom,
-            panX,
-            panY,
-            isGlobal ? 0 : currentFrame.rotationDeg,
-            !isGlobal
-          );
-          const { x: imgX, y: imgY } = trans.screenToImage(screenX, screenY);
+          const trans = CoordinateTransformer.forFrame(currentFrame, project.viewport, !isGlobal);
           const ann = isGlobal
-            ? project.globalBuoys[dragStart.hit.index]
-            : currentFrame.annotations[dragStart.hit.index];
-
-          if (dragStart.handle === 'se') {
-            const dw = imgX - (ann.x + ann.w);
-            const dh = imgY - (ann.y + ann.h);
-            resizeAnnotation(ann.id, dw, dh, isGlobal);
-          } else if (dragStart.handle === 'nw') {
-            const dx = imgX - ann.x;
-            const dy = imgY - ann.y;
-            moveAnnotation(ann.id, dx, dy, isGlobal);
-            resizeAnnotation(ann.id, -dx, -dy, isGlobal);
+            ? project.globalBuoys.find((b) => b.id === dragStart.hit.id)
+            : currentFrame.annotations.find((a) => a.id === dragStart.hit.id);
+          if (!ann) return;
+          // Global annotations are edited in their shared geometry, without this frame's offset
+          const offset = isGlobal ? getGlobalOffset(ann, project.currentIndex) : { dx: 0, dy: 0 };
+          const cursor = trans.screenToImage(screenX, screenY);
+          const imgX = cursor.x - offset.dx;
+          const imgY = cursor.y - offset.dy;
+
+          const polyHandle = parsePolygonHandle(dragStart.handle);
+          if (polyHandle) {
+            moveAnnotationVertex(ann.id, polyHandle.index, imgX, imgY, isGlobal);
+          } else if (dragStart.handle === 'rotate') {
+            const angle = (Math.atan2(imgX - ann.x, -(imgY - ann.y)) * 180) / Math.PI;
+            updateAnnotation(ann.id, { angle: normalizeAngle(angle) }, isGlobal);
+          } else if (ann.type === ANNOTATION_OBB) {
+            resizeOrientedBox(ann.id, dragStart.handle, imgX, imgY, isGlobal);
+          } else if (ann.type === ANNOTATION_BBOX && dragStart.orig) {
+            // Shift keeps the aspect ratio, Alt resizes about the center
+            const box = resizeBox(dragStart.orig, dragStart.handle, imgX, imgY, {
+              keepAspect: e.shiftKey,
+              fromCenter: e.altKey,
+            });
+            updateAnnotation(ann.id, box, isGlobal);
           }
-        } else if (selection && !dragStart.handle) {
+        } else if (dragStart.localOffset && dragStart.hit) {
+          const { zoom } = project.viewport;
+          shiftGlobalInFrame(dragStart.hit.id, (screenX - dragStart.x) / zoom, (screenY - dragStart.y) / zoom);
+          setDragStart({ ...dragStart, x: screenX, y: screenY, moved: true });
+        } else if (selectedItems.length > 0 && !dragStart.handle) {
           // Move
           const dx = screenX - dragStart.x;
           const dy = screenY - dragStart.y;
           const { zoom } = project.viewport;
-          moveAnnotation(selection.id, dx / zoom, dy / zoom, selection.type === 'global');
-          setDragStart({ x: screenX, y: screenY });
+          moveAnnotations(selectedItems, dx / zoom, dy / zoom);
+          setDragStart({ ...dragStart, x: screenX, y: screenY, moved: true });
         }
         return;
       }
 
-      if ([TOOL_BOAT_POINT, TOOL_BOAT_BOX, TOOL_BUOY_POINT, TOOL_BUOY_BOX].includes(tool) && isDragging) {
+      if (shapeDraft) {
+        setCursorPos({ x: screenX, y: screenY });
+        return;
+      }
+
+      if (drawTool && isDragging) {
         setDragCurrent({ x: screenX, y: screenY });
         return;
       }
@@ -1044,11 +3875,15 @@ export default function RadarLabeler() {
       project,
       isDragging,
       dragStart,
-      selection,
+      selectedItems,
+      shapeDraft,
       getAnnotationAtPoint,
       updateViewport,
-      moveAnnotation,
-      resizeAnnotation,
+      moveAnnotations,
+      shiftGlobalInFrame,
+      updateAnnotation,
+      resizeOrientedBox,
+      moveAnnotationVertex,
     ]
   );
 
@@ -1058,51 +3893,98 @@ export default function RadarLabeler() {
       const rect = canvasRef.current.getBoundingClientRect();
       const screenX = e.clientX - rect.left;
       const screenY = e.clientY - rect.top;
+      const cls = drawTool ? classById[drawTool.classId] : null;
 
-      if ([TOOL_BOAT_POINT, TOOL_BOAT_BOX, TOOL_BUOY_POINT, TOOL_BUOY_BOX].includes(tool) && isDragging) {
-        const moveDistance = dragStart
-          ? Math.hypot(screenX - dragStart.x, screenY - dragStart.y)
-          : 0;
+      if (cls && !isAnnotationEditable(project.layers, { label: cls.id }, cls.scope === SCOPE_GLOBAL)) {
+        setStatus(`${cls.name} layer is hidden or locked`);
+        setIsDragging(false);
+        setDragStart(null);
+        setDragCurrent(null);
+        return;
+      }
 
-        const { zoom, panX, panY } = project.viewport;
-        let isGlobal = false;
-        let rotated = true;
+      // A dragged point snaps once, where it is dropped
+      if (tool === TOOL_SELECT && dragStart?.moved && !dragStart.group && selection && !e.shiftKey) {
+        const isGlobal = selection.type === 'global';
+        const ann = (isGlobal ? frameGlobals : currentFrame.annotations).find((a) => a.id === selection.id);
+        if (ann?.type === ANNOTATION_POINT) {
+          const snapped = snapPoint(ann.x, ann.y, isGlobal);
+          const dx = snapped.x - ann.x;
+          const dy = snapped.y - ann.y;
+          if (dx !== 0 || dy !== 0) {
+            if (dragStart.localOffset) shiftGlobalInFrame(ann.id, dx, dy);
+            else moveAnnotations([selection], dx, dy);
+          }
+        }
+      }
+      historyGestureRef.current = null;
 
-        if (tool === TOOL_BUOY_POINT || tool === TOOL_BUOY_BOX) {
-          isGlobal = true;
-          rotated = false;
+      if (tool === TOOL_SELECT && dragStart?.marquee) {
+        if (dragCurrent) {
+          setSelectionItems(getAnnotationsInRect(dragStart, dragCurrent, dragStart.additive ? selectedItems : []));
         }
+        setIsDragging(false);
+        setDragStart(null);
+        setDragCurrent(null);
+        return;
+      }
 
-        const trans = new CoordinateTransformer(
-          currentFrame.width,
-          currentFrame.height,
-          zoom,
-          panX,
-          panY,
-          rotated ? currentFrame.rotationDeg : 0,
-          rotated
-        );
-        const { x: imgX, y: imgY } = trans.screenToImage(dragStart.x, dragStart.y);
+      if (cls && VERTEX_GEOMETRIES.includes(drawTool.geometry)) {
+        const isGlobal = cls.scope === SCOPE_GLOBAL;
+        const trans = CoordinateTransformer.forFrame(currentFrame, project.viewport, !isGlobal);
+        const draft = shapeDraft || { type: drawTool.geometry, isGlobal, label: cls.id, points: [] };
 
-        if (tool === TOOL_BOAT_POINT || tool === TOOL_BUOY_POINT) {
-          const label = tool === TOOL_BOAT_POINT ? LABEL_BOAT : LABEL_BUOY;
-          const ann = createAnnotation(ANNOTATION_POINT, label, imgX, imgY);
-          if (isGlobal) {
-            updateGlobalBuoys([...project.globalBuoys, ann]);
-          } else {
-            updateFrameAnnotations(project.currentIndex, [...currentFrame.annotations, ann]);
+        if (draft.points.length > 0) {
+          const first = trans.imageToScreen(draft.points[0].x, draft.points[0].y);
+          const last = trans.imageToScreen(
+            draft.points[draft.points.length - 1].x,
+            draft.points[draft.points.length - 1].y
+          );
+          // Clicking the first vertex closes a polygon
+          if (
+            draft.type === ANNOTATION_POLYGON &&
+            draft.points.length >= MIN_POLYGON_VERTICES &&
+            Math.hypot(first.x - screenX, first.y - screenY) < VERTEX_HIT_RADIUS
+          ) {
+            finishShape();
+            return;
           }
-        } else if (tool === TOOL_BOAT_BOX || tool === TOOL_BUOY_BOX) {
-          const label = tool === TOOL_BOAT_BOX ? LABEL_BOAT : LABEL_BUOY;
+          // Ignore repeat clicks on the last vertex (the first half of a double-click)
+          if (Math.hypot(last.x - screenX, last.y - screenY) < CLICK_DRAG_THRESHOLD) return;
+        }
 
-          if (moveDistance < CLICK_DRAG_THRESHOLD) {
+        const { x: imgX, y: imgY } = trans.screenToImage(screenX, screenY);
+        setShapeDraft({ ...draft, points: [...draft.points, { x: imgX, y: imgY }] });
+        return;
+      }
+
+      if (cls && isDragging) {
+        const moveDistance = dragStart
+          ? Math.hypot(screenX - dragStart.x, screenY - dragStart.y)
+          : 0;
+
+        const isGlobal = cls.scope === SCOPE_GLOBAL;
+        const rotated = !isGlobal;
+
+        const trans = CoordinateTransformer.forFrame(currentFrame, project.viewport, rotated);
+        const { x: imgX, y: imgY } = trans.screenToImage(dragStart.x, dragStart.y);
+        const label = cls.id;
+        let ann = null;
+
+        if (drawTool.geometry === ANNOTATION_POINT) {
+          // Shift places the point exactly where clicked
+          const p = e.shiftKey ? { x: imgX, y: imgY } : snapPoint(imgX, imgY, isGlobal);
+          ann = createAnnotation(ANNOTATION_POINT, label, p.x, p.y);
+        } else if (drawTool.geometry === ANNOTATION_BBOX) {
+          const fitted = moveDistance < CLICK_DRAG_THRESHOLD && wand.enabled && !e.shiftKey
+            ? fitBoxAtPoint(imgX, imgY, isGlobal)
+            : null;
+          if (fitted) {
+            // Magic wand: box fitted to the region grown from the click
+            ann = createAnnotation(ANNOTATION_BBOX, label, fitted.x, fitted.y, fitted.w, fitted.h);
+          } else if (moveDistance < CLICK_DRAG_THRESHOLD) {
             // Click only: default size
-            const ann = createAnnotation(ANNOTATION_BBOX, label, imgX, imgY, DEFAULT_BBOX_SIZE, DEFAULT_BBOX_SIZE);
-            if (isGlobal) {
-              updateGlobalBuoys([...project.globalBuoys, ann]);
-            } else {
-              updateFrameAnnotations(project.currentIndex, [...currentFrame.annotations, ann]);
-            }
+            ann = createAnnotation(ANNOTATION_BBOX, label, imgX, imgY, DEFAULT_BBOX_SIZE, DEFAULT_BBOX_SIZE);
           } else {
             // Drag: size from drag
             const { x: imgX2, y: imgY2 } = trans.screenToImage(screenX, screenY);
@@ -1111,12 +3993,36 @@ export default function RadarLabeler() {
             const bw = Math.max(MIN_BBOX_SIDE, Math.abs(imgX2 - imgX));
             const bh = Math.max(MIN_BBOX_SIDE, Math.abs(imgY2 - imgY));
 
-            const ann = createAnnotation(ANNOTATION_BBOX, label, bx, by, bw, bh);
-            if (isGlobal) {
-              updateGlobalBuoys([...project.globalBuoys, ann]);
-            } else {
-              updateFrameAnnotations(project.currentIndex, [...currentFrame.annotations, ann]);
-            }
+            ann = createAnnotation(ANNOTATION_BBOX, label, bx, by, bw, bh);
+          }
+        } else if (drawTool.geometry === ANNOTATION_OBB) {
+          if (moveDistance < CLICK_DRAG_THRESHOLD) {
+            // Click only: default size, bow pointing up on screen
+            const angle = normalizeAngle(trans.screenAngleToImage(0));
+            ann = createAnnotation(ANNOTATION_OBB, label, imgX, imgY, DEFAULT_BBOX_SIZE, DEFAULT_BBOX_SIZE, angle);
+          } else {
+            // Drag from stern to bow: sets length and heading
+            const { x: imgX2, y: imgY2 } = trans.screenToImage(screenX, screenY);
+            const length = Math.max(MIN_BBOX_SIDE, Math.hypot(imgX2 - imgX, imgY2 - imgY));
+            const beam = Math.max(MIN_BBOX_SIDE, length * OBB_DEFAULT_BEAM_RATIO);
+            const angle = normalizeAngle((Math.atan2(imgX2 - imgX, -(imgY2 - imgY)) * 180) / Math.PI);
+            ann = createAnnotation(
+              ANNOTATION_OBB,
+              label,
+              (imgX + imgX2) / 2,
+              (imgY + imgY2) / 2,
+              beam,
+              length,
+              angle
+            );
+          }
+        }
+
+        if (ann) {
+          if (isGlobal) {
+            updateGlobalBuoys([...project.globalBuoys, ann]);
+          } else {
+            updateFrameAnnotations(project.currentIndex, [...currentFrame.annotations, ann]);
           }
         }
       }
@@ -1127,47 +4033,544 @@ export default function RadarLabeler() {
     },
     [
       tool,
+      drawTool,
+      classById,
       currentFrame,
       project,
       isDragging,
       dragStart,
+      dragCurrent,
+      selection,
+      selectedItems,
+      frameGlobals,
+      snapPoint,
+      wand.enabled,
+      fitBoxAtPoint,
+      moveAnnotations,
+      shiftGlobalInFrame,
+      setSelectionItems,
+      getAnnotationsInRect,
+      shapeDraft,
+      finishShape,
       updateFrameAnnotations,
       updateGlobalBuoys,
     ]
   );
 
-  const handleCanvasMouseLeave = () => {
-    setHoveredId(null);
-    setIsDragging(false);
-    setDragStart(null);
-    setDragCurrent(null);
-  };
+  const handleCanvasDoubleClick = useCallback(() => {
+    if (VERTEX_GEOMETRIES.includes(drawTool?.geometry) && shapeDraft) finishShape();
+  }, [drawTool, shapeDraft, finishShape]);
+
+  const handleCanvasMouseLeave = () => {
+    historyGestureRef.current = null;
+    setHoveredId(null);
+    setPolarCursor(null);
+    setIsDragging(false);
+    setDragStart(null);
+    setDragCurrent(null);
+  };
+
+  // ========== Layers ==========
+  // Hiding or locking a layer also drops its annotations from the selection
+  const updateLayer = useCallback(
+    (key, updates) => {
+      const layers = { ...project.layers, [key]: { ...project.layers?.[key], ...updates } };
+      updateProject((proj) => ({ ...proj, layers }));
+      setSelectionItems(
+        selectedItems.filter((i) => {
+          const ann = (i.type === 'global' ? project.globalBuoys : currentFrame?.annotations || []).find(
+            (a) => a.id === i.id
+          );
+          return ann && isAnnotationEditable(layers, ann, i.type === 'global');
+        })
+      );
+    },
+    [project, currentFrame, selectedItems, updateProject, setSelectionItems]
+  );
+
+  // ========== Class schema ==========
+  // First press of a class hotkey picks its first geometry; repeated presses cycle through the rest
+  const selectClassTool = useCallback(
+    (cls) => {
+      if (cls.geometries.length === 0) return;
+      let geometry = cls.geometries[0];
+      if (drawTool?.classId === cls.id) {
+        const idx = cls.geometries.indexOf(drawTool.geometry);
+        geometry = cls.geometries[(idx + 1) % cls.geometries.length];
+      }
+      setTool(makeDrawTool(cls.id, geometry));
+    },
+    [drawTool]
+  );
+
+  const countClassAnnotations = useCallback(
+    (classId) =>
+      project.frames.reduce((n, f) => n + f.annotations.filter((a) => a.label === classId).length, 0) +
+      project.globalBuoys.filter((b) => b.label === classId).length,
+    [project]
+  );
+
+  const addClass = useCallback(() => {
+    updateProject((proj) => {
+      const existing = proj.classes || [];
+      const name = `Class ${existing.length + 1}`;
+      const cls = {
+        id: makeSlugId(name, existing),
+        name,
+        color: '#ff66cc',
+        hotkey: '',
+        geometries: [ANNOTATION_POINT, ANNOTATION_BBOX],
+        scope: SCOPE_FRAME,
+        attributes: [],
+      };
+      return { ...proj, classes: [...existing, cls] };
+    });
+  }, [updateProject]);
+
+  const updateClass = useCallback(
+    (classId, updates) => {
+      if (updates.hotkey !== undefined) {
+        const key = updates.hotkey.slice(-1).toLowerCase();
+        if (key && (RESERVED_KEYS.has(key) || classes.some((c) => c.id !== classId && c.hotkey === key))) {
+          setStatus(`Hotkey "${key}" is already in use`);
+          return;
+        }
+        updates = { ...updates, hotkey: key };
+      }
+      if (updates.geometries !== undefined && updates.geometries.length === 0) {
+        setStatus('A class needs at least one geometry type');
+        return;
+      }
+      if (updates.scope !== undefined && countClassAnnotations(classId) > 0) {
+        setStatus('Cannot change scope of a class that has annotations');
+        return;
+      }
+      updateProject((proj) => ({
+        ...proj,
+        classes: proj.classes.map((c) => (c.id === classId ? { ...c, ...updates } : c)),
+      }));
+      // Drop a drawing tool whose geometry was just disallowed
+      if (
+        updates.geometries &&
+        drawTool?.classId === classId &&
+        !updates.geometries.includes(drawTool.geometry)
+      ) {
+        setTool(TOOL_SELECT);
+      }
+    },
+    [classes, drawTool, countClassAnnotations, updateProject]
+  );
+
+  const deleteClass = useCallback(
+    (classId) => {
+      if (countClassAnnotations(classId) > 0) {
+        setStatus('Cannot delete a class that has annotations');
+        return;
+      }
+      updateProject((proj) => ({ ...proj, classes: proj.classes.filter((c) => c.id !== classId) }));
+      if (drawTool?.classId === classId) setTool(TOOL_SELECT);
+    },
+    [drawTool, countClassAnnotations, updateProject]
+  );
+
+  const addClassAttribute = useCallback(
+    (cls) => {
+      const name = `Attribute ${cls.attributes.length + 1}`;
+      const attr = { id: makeSlugId(name, cls.attributes, 'attr'), name, type: ATTR_TEXT };
+      updateClass(cls.id, { attributes: [...cls.attributes, attr] });
+    },
+    [updateClass]
+  );
+
+  const updateClassAttribute = useCallback(
+    (cls, attrId, updates) => {
+      updateClass(cls.id, {
+        attributes: cls.attributes.map((a) => (a.id === attrId ? { ...a, ...updates } : a)),
+      });
+    },
+    [updateClass]
+  );
+
+  const deleteClassAttribute = useCallback(
+    (cls, attrId) => {
+      updateClass(cls.id, { attributes: cls.attributes.filter((a) => a.id !== attrId) });
+    },
+    [updateClass]
+  );
+
+  // Empty values are removed rather than stored
+  const setAnnotationAttribute = useCallback(
+    (ann, attrId, value) => {
+      updateAnnotation(ann.id, { attributes: withAttribute(ann.attributes, attrId, value) }, selection.type === 'global');
+    },
+    [selection, updateAnnotation]
+  );
+
+  // Sets one attribute on every selected annotation
+  const setSelectionAttribute = useCallback(
+    (attrId, value) => {
+      updateAnnotations(selectedItems, (a) => ({ ...a, attributes: withAttribute(a.attributes, attrId, value) }));
+    },
+    [selectedItems, updateAnnotations]
+  );
+
+  // ========== Review ==========
+  const reviewQueue = useMemo(() => getReviewQueue(project), [project.frames, project.globalBuoys]);
+
+  // Sets review fields on the selection, or on the current frame when nothing is selected
+  const setReview = useCallback(
+    (updates) => {
+      updateProject(applyReview(project, project.currentIndex, selectedItems.length > 0 ? selectedItems : null, updates));
+    },
+    [project, selectedItems, updateProject]
+  );
+
+  const setFrameReview = useCallback(
+    (updates) => {
+      updateProject(applyReview(project, project.currentIndex, null, updates));
+    },
+    [project, updateProject]
+  );
+
+  // Shows a review queue item: its frame, with the annotation selected
+  const showReviewItem = useCallback((proj, item) => {
+    updateProject({ ...proj, currentIndex: item.frameIndex });
+    if (item.type === REVIEW_ITEM_FRAME) setSelection(null);
+    else setSelection({ type: item.type, id: item.id });
+  }, [updateProject, setSelection]);
+
+  // Review mode: set the status of the current item (the selection, else the
+  // frame) and move on to the next unreviewed item. A null status just skips.
+  const reviewAndAdvance = useCallback(
+    (status) => {
+      const items = selectedItems.length > 0 ? selectedItems : null;
+      const next = status ? applyReview(project, project.currentIndex, items, { reviewStatus: status }) : project;
+      let position = [project.currentIndex, 2, 0];
+      if (selection?.type === 'frame') {
+        position = [project.currentIndex, 1, currentFrame.annotations.findIndex((a) => a.id === selection.id)];
+      } else if (selection?.type === 'global') {
+        position = [project.currentIndex, 0, project.globalBuoys.findIndex((b) => b.id === selection.id)];
+      }
+      const queue = getReviewQueue(next);
+      const item = queue.find((i) => compareReviewOrder(i.order, position) > 0) || queue[0];
+      if (item) {
+        showReviewItem(next, item);
+        setStatus(`${status ? REVIEW_STYLES[status].name : 'Skipped'}; ${queue.length} left to review`);
+      } else {
+        updateProject(next);
+        setReviewMode(false);
+        setStatus('Review complete');
+      }
+    },
+    [project, currentFrame, selection, selectedItems, updateProject, showReviewItem]
+  );
+
+  const toggleReviewMode = useCallback(() => {
+    if (reviewMode) {
+      setReviewMode(false);
+      return;
+    }
+    if (reviewQueue.length === 0) {
+      setStatus('Nothing left to review');
+      return;
+    }
+    setReviewMode(true);
+    setTool(TOOL_SELECT);
+    showReviewItem(project, reviewQueue[0]);
+  }, [reviewMode, reviewQueue, project, showReviewItem]);
+
+  // ========== Copy / paste ==========
+  const copySelection = useCallback(() => {
+    if (!currentFrame || selectedItems.length === 0) return;
+    const { width, height, rotationDeg, dx, dy, pivot } = currentFrame;
+    const anns = selectedItems
+      .map((i) => {
+        const isGlobal = i.type === 'global';
+        const ann = (isGlobal ? project.globalBuoys : currentFrame.annotations).find((a) => a.id === i.id);
+        return { ann, isGlobal };
+      })
+      .filter(({ ann }) => ann);
+    clipboardRef.current = { frame: { width, height, rotationDeg, dx, dy, pivot }, anns };
+    setStatus(`Copied ${anns.length} annotations`);
+  }, [currentFrame, project.globalBuoys, selectedItems]);
+
+  // Pastes into the current frame; frame annotations are re-projected through the
+  // difference between the frame transforms, track ids are kept unless the track already appears here.
+  // Global annotations are not pasted: they already show on every frame, and a
+  // copy would be a second shared object on top of the first.
+  const pasteClipboard = useCallback(() => {
+    const clip = clipboardRef.current;
+    if (!currentFrame || !clip || clip.anns.length === 0) return;
+    const usedTracks = new Set(currentFrame.annotations.map((a) => a.trackId).filter((t) => t != null));
+    const frameCopies = [];
+    const skippedGlobals = clip.anns.filter(({ isGlobal }) => isGlobal).length;
+    for (const { ann, isGlobal } of clip.anns) {
+      if (isGlobal) continue;
+      const copy = copyAnnotationToFrame(ann, clip.frame, currentFrame);
+      if (copy.trackId != null) {
+        if (usedTracks.has(copy.trackId)) delete copy.trackId;
+        else usedTracks.add(copy.trackId);
+      }
+      frameCopies.push(copy);
+    }
+    if (frameCopies.length > 0) {
+      updateProject((proj) => {
+        const newFrames = [...proj.frames];
+        const frame = newFrames[proj.currentIndex];
+        newFrames[proj.currentIndex] = { ...frame, annotations: [...frame.annotations, ...frameCopies] };
+        return { ...proj, frames: newFrames };
+      });
+      setSelectionItems(frameCopies.map((a) => ({ type: 'frame', id: a.id })));
+    }
+    setStatus(
+      `Pasted ${frameCopies.length} annotations` +
+        (skippedGlobals > 0 ? `; ${skippedGlobals} global annotations skipped (already on every frame)` : '')
+    );
+  }, [currentFrame, updateProject, setSelectionItems]);
+
+  // Copies every annotation of the previous frame into the current one. Tracks
+  // that already have an annotation here are not copied again.
+  const carryForward = useCallback(() => {
+    if (!currentFrame || project.currentIndex === 0) return;
+    const prevFrame = project.frames[project.currentIndex - 1];
+    const usedTracks = new Set(currentFrame.annotations.map((a) => a.trackId).filter((t) => t != null));
+    const copies = prevFrame.annotations
+      .filter((a) => a.trackId == null || !usedTracks.has(a.trackId))
+      .map((a) => copyAnnotationToFrame(a, prevFrame, currentFrame));
+    const skipped = prevFrame.annotations.length - copies.length;
+    if (copies.length > 0) {
+      updateFrameAnnotations(project.currentIndex, [...currentFrame.annotations, ...copies]);
+    }
+    setStatus(
+      `Carried forward ${copies.length} annotations from frame ${project.currentIndex}` +
+        (skipped > 0 ? `; ${skipped} tracks already present` : '')
+    );
+  }, [currentFrame, project.currentIndex, project.frames, updateFrameAnnotations]);
+
+  // ========== Tracks ==========
+  // trackId may be an existing id, TRACK_NEW to start a new track, or null to clear
+  const assignTrack = useCallback(
+    (annId, trackId) => {
+      if (!currentFrame) return;
+      if (
+        trackId != null &&
+        trackId !== TRACK_NEW &&
+        currentFrame.annotations.some((a) => a.trackId === trackId && a.id !== annId)
+      ) {
+        setStatus(`Track T${trackId} already has an annotation in this frame`);
+        return;
+      }
+      let startedId = null;
+      let keptId = null;
+      updateProject((proj) => {
+        let newTracks = proj.tracks || [];
+        let nextTrackId = proj.nextTrackId || 1;
+        let id = trackId;
+        const newFrames = [...proj.frames];
+        const frame = newFrames[proj.currentIndex];
+        if (trackId === TRACK_NEW) {
+          // The annotation stays on its own track if nothing else is on it (e.g. T pressed twice)
+          const current = frame.annotations.find((a) => a.id === annId)?.trackId;
+          const shared =
+            current != null &&
+            proj.frames.some((f) => f.annotations.some((a) => a.trackId === current && !(f === frame && a.id === annId)));
+          if (current != null && !shared) {
+            keptId = current;
+            return proj;
+          }
+          id = nextTrackId++;
+          newTracks = [...newTracks, { id, color: TRACK_COLORS[(id - 1) % TRACK_COLORS.length] }];
+          startedId = id;
+        }
+        newFrames[proj.currentIndex] = {
+          ...frame,
+          annotations: frame.annotations.map((a) => {
+            if (a.id !== annId) return a;
+            if (id == null) {
+              const { trackId: _removed, ...rest } = a;
+              return rest;
+            }
+            return { ...a, trackId: id };
+          }),
+        };
+        return { ...proj, frames: newFrames, tracks: newTracks, nextTrackId };
+      });
+      if (keptId != null) setStatus(`T${keptId} has no other annotations; kept it`);
+      if (startedId != null) setStatus(`Started track T${startedId}`);
+    },
+    [currentFrame, updateProject]
+  );
+
+  const runTrackInterpolation = useCallback(
+    (trackId) => {
+      const result = interpolateTrack(project.frames, trackId, interpMode);
+      updateProject((proj) => ({ ...proj, frames: result.frames }));
+      let msg = `T${trackId}: ${result.generated} interpolated annotations`;
+      if (result.skipped > 0) msg += `, ${result.skipped} segments skipped (geometry mismatch)`;
+      setStatus(msg);
+    },
+    [project.frames, interpMode, updateProject]
+  );
+
+  // Follows the selected box through the next frames by template matching until
+  // the match score drops below the threshold. The propagated boxes share the
+  // source's track (a new one if it has none) and keep their matchScore. The
+  // matching runs in the detector worker, and the boxes are added to whatever
+  // the project is by the time it finishes.
+  const propagateSelection = useCallback(async () => {
+    if (selection?.type !== 'frame' || selectedAnnotation?.type !== ANNOTATION_BBOX) return;
+    const startIndex = project.currentIndex;
+    const startFrameId = project.frames[startIndex].id;
+    const sourceId = selectedAnnotation.id;
+    const existingTrackId = selectedAnnotation.trackId ?? null;
+    const created = new Map(); // frame id -> propagated box
+    let stopReason = 'end of sequence';
+    setPropagating(true);
+    try {
+      let from = { frame: project.frames[startIndex], pixels: await loadFramePixels(project.frames[startIndex]) };
+      let box = selectedAnnotation;
+      for (let i = startIndex + 1; i < project.frames.length; i++) {
+        const toFrame = project.frames[i];
+        if (existingTrackId != null && toFrame.annotations.some((a) => a.trackId === existingTrackId)) {
+          stopReason = `T${existingTrackId} already in frame ${i + 1}`;
+          break;
+        }
+        setStatus(`Propagating to frame ${i + 1}...`);
+        const to = { frame: toFrame, pixels: await loadFramePixels(toFrame) };
+        // Start the search where the box sits on the de-rotated scene
+        const predicted = copyAnnotationToFrame(box, from.frame, toFrame);
+        const match = await detectorRef.current.run('match', {
+          image: from.pixels,
+          transform: getFrameTransform(from.frame),
+          box: { x: box.x, y: box.y, w: box.w, h: box.h },
+          target: to.pixels,
+          targetTransform: getFrameTransform(toFrame),
+          center: { x: predicted.x + predicted.w / 2, y: predicted.y + predicted.h / 2 },
+          params: { radius: propagation.radius },
+        });
+        if (!match) {
+          stopReason = `no usable template in frame ${i + 1}`;
+          break;
+        }
+        if (match.score < propagation.threshold) {
+          stopReason = `match ${match.score.toFixed(2)} in frame ${i + 1}`;
+          break;
+        }
+        box = {
+          ...predicted,
+          x: match.x - predicted.w / 2,
+          y: match.y - predicted.h / 2,
+          matchScore: Math.round(match.score * 1000) / 1000,
+        };
+        created.set(toFrame.id, box);
+        from = to;
+      }
+    } catch (err) {
+      console.error('Propagation failed:', err);
+      stopReason = err.message;
+    } finally {
+      setPropagating(false);
+    }
+
+    if (created.size === 0) {
+      setStatus(`Propagated to 0 frame(s); stopped: ${stopReason}`);
+      return;
+    }
+    // The project may have changed while matching ran: frames are found by id
+    // (frames gone since are skipped), and nothing is added if the source box
+    // is gone or its track has reached one of the target frames
+    let added = null;
+    updateProject((proj) => {
+      const source = proj.frames.find((f) => f.id === startFrameId)?.annotations.find((a) => a.id === sourceId);
+      if (!source || (source.trackId ?? null) !== existingTrackId) return proj;
+      const targets = proj.frames.filter((f) => created.has(f.id));
+      if (existingTrackId != null && targets.some((f) => f.annotations.some((a) => a.trackId === existingTrackId))) {
+        return proj;
+      }
+      let tracks = proj.tracks || [];
+      let nextTrackId = proj.nextTrackId || 1;
+      let trackId = existingTrackId;
+      if (trackId == null) {
+        trackId = nextTrackId++;
+        tracks = [...tracks, { id: trackId, color: TRACK_COLORS[(trackId - 1) % TRACK_COLORS.length] }];
+      }
+      added = targets.length;
+      const frames = proj.frames.map((f) => {
+        if (f.id === startFrameId) {
+          return { ...f, annotations: f.annotations.map((a) => (a.id === sourceId ? { ...a, trackId } : a)) };
+        }
+        if (created.has(f.id)) return { ...f, annotations: [...f.annotations, { ...created.get(f.id), trackId }] };
+        return f;
+      });
+      return { ...proj, frames, tracks, nextTrackId };
+    });
+    setStatus(
+      added == null
+        ? 'Propagation discarded: the box or its track changed while it ran'
+        : `Propagated to ${added} frame(s); stopped: ${stopReason}`
+    );
+  }, [selection, selectedAnnotation, project.currentIndex, project.frames, propagation, updateProject]);
+
+  // Removes the track and its id from every annotation; the annotations themselves stay
+  const deleteTrack = useCallback(
+    (trackId) => {
+      updateProject((proj) => ({
+        ...proj,
+        tracks: proj.tracks.filter((t) => t.id !== trackId),
+        frames: proj.frames.map((f) =>
+          f.annotations.some((a) => a.trackId === trackId)
+            ? {
+                ...f,
+                annotations: f.annotations.map((a) => {
+                  if (a.trackId !== trackId) return a;
+                  const { trackId: _removed, ...rest } = a;
+                  return rest;
+                }),
+              }
+            : f
+        ),
+      }));
+    },
+    [updateProject]
+  );
 
   // ========== KEYBOARD EVENTS ==========
   useEffect(() => {
     const handleKeyDown = (e) => {
-      if (!currentFrame) return;
+      if (!currentFrame || isTextEntryTarget(e.target)) return;
+
+      if (reviewMode && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        const key = e.key.toLowerCase();
+        if (REVIEW_KEYS[key] || key === REVIEW_SKIP_KEY) {
+          e.preventDefault();
+          reviewAndAdvance(REVIEW_KEYS[key] || null);
+          return;
+        }
+        if (e.key === 'Escape') {
+          setReviewMode(false);
+          return;
+        }
+      }
 
       const { zoom, panX, panY } = project.viewport;
       const step = KEY_PAN_STEP / zoom;
 
+      // Arrows nudge the selection, otherwise Shift+Left/Right changes frame and plain arrows pan
+      const arrow = ARROW_DIRECTIONS[e.key];
+      if (arrow) {
+        e.preventDefault();
+        if (selectedItems.length > 0) {
+          const px = e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+          moveAnnotations(selectedItems, arrow.x * px, arrow.y * px);
+        } else if (e.shiftKey) {
+          if (arrow.x !== 0) goToFrame(project.currentIndex + arrow.x);
+        } else {
+          updateViewport(zoom, panX - arrow.x * step, panY - arrow.y * step);
+        }
+        return;
+      }
+
       switch (e.key) {
-        case 'ArrowUp':
-          updateViewport(zoom, panX, panY + step);
-          e.preventDefault();
-          break;
-        case 'ArrowDown':
-          updateViewport(zoom, panX, panY - step);
-          e.preventDefault();
-          break;
-        case 'ArrowLeft':
-          updateViewport(zoom, panX + step, panY);
-          e.preventDefault();
-          break;
-        case 'ArrowRight':
-          updateViewport(zoom, panX - step, panY);
-          e.preventDefault();
-          break;
         case 'n':
         case 'N':
         case 'd':
@@ -1175,11 +4578,26 @@ export default function RadarLabeler() {
           if (e.shiftKey) break;
           goToFrame(project.currentIndex + 1);
           break;
-        case 'p':
-        case 'P':
         case 'a':
         case 'A':
-          if (e.shiftKey) break;
+          if (e.ctrlKey || e.metaKey) {
+            // Select every annotation on the current frame, including globals
+            e.preventDefault();
+            setSelectionItems([
+              ...currentFrame.annotations
+                .filter((a) => isAnnotationEditable(project.layers, a, false))
+                .map((a) => ({ type: 'frame', id: a.id })),
+              ...frameGlobals
+                .filter((b) => isAnnotationEditable(project.layers, b, true))
+                .map((b) => ({ type: 'global', id: b.id })),
+            ]);
+            break;
+          }
+        // falls through: a plain A goes back a frame, like P
+        case 'p':
+        case 'P':
+          // Leave Ctrl/Cmd+P to the browser's print dialog
+          if (e.shiftKey || e.ctrlKey || e.metaKey) break;
           goToFrame(project.currentIndex - 1);
           break;
         case '+':
@@ -1193,17 +4611,11 @@ export default function RadarLabeler() {
           e.preventDefault();
           break;
         case '[':
-          updateFrameRotation(
-            project.currentIndex,
-            Math.max(ROTATION_MIN, currentFrame.rotationDeg - 0.1)
-          );
+          updateFrameRotation(project.currentIndex, currentFrame.rotationDeg - 0.1);
           e.preventDefault();
           break;
         case ']':
-          updateFrameRotation(
-            project.currentIndex,
-            Math.min(ROTATION_MAX, currentFrame.rotationDeg + 0.1)
-          );
+          updateFrameRotation(project.currentIndex, currentFrame.rotationDeg + 0.1);
           e.preventDefault();
           break;
         case 'Delete':
@@ -1211,29 +4623,55 @@ export default function RadarLabeler() {
           deleteAnnotation();
           e.preventDefault();
           break;
-        case 'Escape':
-          setTool(TOOL_SELECT);
-          break;
-        case '1':
-          setTool(TOOL_BOAT_POINT);
-          break;
-        case '2':
-          setTool(TOOL_BOAT_BOX);
+        case 't':
+        case 'T':
+          // Start a new track from the selected frame annotation
+          if (selection?.type === 'frame' && !e.ctrlKey && !e.metaKey) {
+            assignTrack(selection.id, TRACK_NEW);
+          }
           break;
-        case '3':
-          setTool(TOOL_BUOY_POINT);
+        case 'Escape':
+          if (shapeDraft) {
+            setShapeDraft(null);
+            setCursorPos(null);
+          } else {
+            setTool(TOOL_SELECT);
+          }
           break;
-        case '4':
-          setTool(TOOL_BUOY_BOX);
+        case 'Enter':
+          if (shapeDraft) {
+            finishShape();
+            e.preventDefault();
+          }
           break;
         default:
-          if (e.shiftKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
-            e.preventDefault();
-            goToFrame(project.currentIndex + (e.key === 'ArrowLeft' ? -1 : 1));
+          if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+            const cls = classes.find((c) => c.hotkey && c.hotkey.toLowerCase() === e.key.toLowerCase());
+            if (cls) selectClassTool(cls);
           }
           break;
       }
 
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+        e.preventDefault();
+        if (e.shiftKey) redo();
+        else undo();
+      }
+
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || e.key === 'Y')) {
+        e.preventDefault();
+        redo();
+      }
+
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'c' || e.key === 'C')) {
+        copySelection();
+      }
+
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'v' || e.key === 'V')) {
+        e.preventDefault();
+        pasteClipboard();
+      }
+
       if ((e.ctrlKey || e.metaKey) && e.key === 's') {
         e.preventDefault();
         if (fileIORef.current.fileHandle) {
@@ -1255,12 +4693,27 @@ export default function RadarLabeler() {
     updateFrameRotation,
     deleteAnnotation,
     triggerSave,
+    shapeDraft,
+    finishShape,
+    classes,
+    selectClassTool,
+    selection,
+    selectedItems,
+    setSelectionItems,
+    assignTrack,
+    moveAnnotations,
+    copySelection,
+    pasteClipboard,
+    undo,
+    redo,
+    reviewMode,
+    reviewAndAdvance,
   ]);
 
   // Space-drag pan
   useEffect(() => {
     const handleKeyDown = (e) => {
-      if (e.code === 'Space') {
+      if (e.code === 'Space' && !isTextEntryTarget(e.target)) {
         setTool((prev) => (prev === TOOL_PAN ? TOOL_SELECT : TOOL_PAN));
       }
     };
@@ -1291,27 +4744,11 @@ export default function RadarLabeler() {
       const imgCenterY = currentFrame.height / 2;
 
       // Get current screen position of image center
-      const trans = new CoordinateTransformer(
-        currentFrame.width,
-        currentFrame.height,
-        zoom,
-        panX,
-        panY,
-        currentFrame.rotationDeg,
-        true
-      );
+      const trans = CoordinateTransformer.forFrame(currentFrame, project.viewport);
       const { x: screenCenterX, y: screenCenterY } = trans.imageToScreen(imgCenterX, imgCenterY);
 
       // Calculate new pan so image center stays at same screen position
-      const transNew = new CoordinateTransformer(
-        currentFrame.width,
-        currentFrame.height,
-        newZoom,
-        0,
-        0,
-        currentFrame.rotationDeg,
-        true
-      );
+      const transNew = CoordinateTransformer.forFrame(currentFrame, { zoom: newZoom, panX: 0, panY: 0 });
       const { x: newScreenX, y: newScreenY } = transNew.imageToScreen(imgCenterX, imgCenterY);
       const newPanX = panX + (screenCenterX - newScreenX);
       const newPanY = panY + (screenCenterY - newScreenY);
@@ -1325,13 +4762,46 @@ export default function RadarLabeler() {
   // Restore from localStorage on mount
   useEffect(() => {
     const backup = fileIORef.current.loadFromLocalStorage();
-    if (backup && backup.frames && backup.frames.length > 0) {
-      setProject(backup);
+    if (backup && backup.frames && backup.frames.length > 0 && !(backup.version > PROJECT_VERSION)) {
+      setProject(normalizeProject(backup));
       setStatus('Restored from localStorage backup');
     }
   }, []);
 
   // ========== RENDER ==========
+  // Editor for one typed attribute value
+  function renderAttributeInput(attr, value, onChange) {
+    if (attr.type === ATTR_ENUM) {
+      return (
+        <select value={value ?? ''} onChange={(e) => onChange(e.target.value)} className="input input-wide">
+          <option value="">—</option>
+          {(attr.options || []).map((opt) => (
+            <option key={opt} value={opt}>
+              {opt}
+            </option>
+          ))}
+        </select>
+      );
+    }
+    if (attr.type === ATTR_BOOLEAN) {
+      return <input type="checkbox" checked={value === true} onChange={(e) => onChange(e.target.checked)} />;
+    }
+    if (attr.type === ATTR_NUMBER) {
+      return (
+        <input
+          type="number"
+          step="any"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? '' : parseFloat(e.target.value))}
+          className="input input-wide"
+        />
+      );
+    }
+    return (
+      <textarea value={value ?? ''} rows={2} onChange={(e) => onChange(e.target.value)} className="input input-wide" />
+    );
+  }
+
   if (!currentFrame) {
     return (
       <div className="radar-labeler">
@@ -1389,6 +4859,12 @@ export default function RadarLabeler() {
           <button onClick={handleBackupDownload} className="btn">
             💾 Backup Download
           </button>
+          <button onClick={handleExportFrames} className="btn">
+            📤 Export Frame Annotations
+          </button>
+          <button onClick={handleExportGeoJson} className="btn" title="Annotations of georeferenced frames, for GIS tools">
+            🌍 Export GeoJSON
+          </button>
         </div>
 
         <div className="section">
@@ -1405,29 +4881,707 @@ export default function RadarLabeler() {
           >
             Pan (Space)
           </button>
-          <button
-            className={`btn ${tool === TOOL_BOAT_POINT ? 'active' : ''}`}
-            onClick={() => setTool(TOOL_BOAT_POINT)}
-          >
-            🚤 Boat Point (1)
+          {classes.map((cls) =>
+            cls.geometries.map((geometry) => {
+              const toolId = makeDrawTool(cls.id, geometry);
+              return (
+                <button
+                  key={toolId}
+                  className={`btn ${tool === toolId ? 'active' : ''}`}
+                  style={{ borderLeft: `4px solid ${cls.color}` }}
+                  onClick={() => setTool(toolId)}
+                >
+                  {cls.name} {GEOMETRY_NAMES[geometry]}
+                  {cls.hotkey && ` (${cls.hotkey})`}
+                </button>
+              );
+            })
+          )}
+          <div className="property-row">
+            <label className="checkbox-label property-name">
+              <input
+                type="checkbox"
+                checked={snap.enabled}
+                onChange={(e) => setSnap({ ...snap, enabled: e.target.checked })}
+              />
+              Snap points
+            </label>
+            <select
+              value={snap.mode}
+              onChange={(e) => setSnap({ ...snap, mode: e.target.value })}
+              className="input input-wide"
+              title="Snap target"
+            >
+              <option value={SNAP_PEAK}>Peak</option>
+              <option value={SNAP_CENTROID}>Centroid</option>
+            </select>
+            <input
+              type="number"
+              min="1"
+              max={SNAP_RADIUS_MAX}
+              value={snap.radius}
+              onChange={(e) =>
+                setSnap({
+                  ...snap,
+                  radius: Math.max(1, Math.min(SNAP_RADIUS_MAX, parseInt(e.target.value, 10) || SNAP_RADIUS_DEFAULT)),
+                })
+              }
+              className="input input-key"
+              title="Snap radius (image px)"
+            />
+          </div>
+          <div className="property-row">
+            <label className="checkbox-label property-name" title="Clicking with a box tool fits the box to the return">
+              <input
+                type="checkbox"
+                checked={wand.enabled}
+                onChange={(e) => setWand({ ...wand, enabled: e.target.checked })}
+              />
+              Magic wand
+            </label>
+            <input
+              type="range"
+              min="1"
+              max="255"
+              value={wand.tolerance}
+              onChange={(e) => setWand({ ...wand, tolerance: parseInt(e.target.value, 10) })}
+              style={{ flex: 1, minWidth: 0 }}
+              title="Tolerance (intensity levels below the peak)"
+            />
+            <span className="property-mono">{wand.tolerance}</span>
+          </div>
+        </div>
+
+        <div className="section">
+          <h3>🛰️ Detector</h3>
+          <div className="property-row">
+            <span className="property-name">CFAR</span>
+            <select
+              value={cfar.method}
+              onChange={(e) => setCfar({ ...cfar, method: e.target.value })}
+              className="input input-wide"
+            >
+              <option value={CFAR_CA}>Cell averaging (CA)</option>
+              <option value={CFAR_OS}>Ordered statistic (OS)</option>
+            </select>
+          </div>
+          <div className="property-row">
+            <span className="property-name">Guard / Train</span>
+            {['guard', 'train'].map((key) => (
+              <input
+                key={key}
+                type="number"
+                min={key === 'guard' ? 0 : 1}
+                max={CFAR_WINDOW_MAX}
+                value={cfar[key]}
+                onChange={(e) =>
+                  setCfar({
+                    ...cfar,
+                    [key]: Math.max(
+                      key === 'guard' ? 0 : 1,
+                      Math.min(CFAR_WINDOW_MAX, parseInt(e.target.value, 10) || CFAR_DEFAULTS[key])
+                    ),
+                  })
+                }
+                className="input input-key"
+                title={key === 'guard' ? 'Guard cells per side' : 'Training cells per side'}
+              />
+            ))}
+          </div>
+          <div className="property-row">
+            <span className="property-name">Pfa</span>
+            <select
+              value={cfar.pfa}
+              onChange={(e) => setCfar({ ...cfar, pfa: parseFloat(e.target.value) })}
+              className="input input-wide"
+              title="Probability of false alarm per pixel"
+            >
+              {CFAR_PFA_OPTIONS.map((p) => (
+                <option key={p} value={p}>
+                  {p.toExponential(0)}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              value={cfar.minArea}
+              onChange={(e) => setCfar({ ...cfar, minArea: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              className="input input-key"
+              title="Minimum detection size (px)"
+            />
+          </div>
+          <div className="property-row">
+            <span className="property-name">Accept as</span>
+            <select
+              value={suggestionClassId}
+              onChange={(e) => setSuggestionClassId(e.target.value)}
+              className="input input-wide"
+            >
+              {suggestionClasses.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <button onClick={runCfarDetector} disabled={detecting} className="btn">
+            {detecting ? '⏳ Detecting...' : '▶ Run CFAR on Frame'}
           </button>
+          <div className="property-row">
+            <span className="property-name">Motion Δ</span>
+            <input
+              type="range"
+              min="1"
+              max="255"
+              value={motion.threshold}
+              onChange={(e) => setMotion({ ...motion, threshold: parseInt(e.target.value, 10) })}
+              style={{ flex: 1, minWidth: 0 }}
+              title="Minimum brightening against both neighbouring frames (intensity levels)"
+            />
+            <span className="property-mono">{motion.threshold}</span>
+          </div>
+          <div className="property-row">
+            <span className="property-name">Clean-up / Min</span>
+            <input
+              type="number"
+              min="0"
+              max={MOTION_RADIUS_MAX}
+              value={motion.radius}
+              onChange={(e) =>
+                setMotion({
+                  ...motion,
+                  radius: Math.max(0, Math.min(MOTION_RADIUS_MAX, parseInt(e.target.value, 10) || 0)),
+                })
+              }
+              className="input input-key"
+              title="Morphological opening/closing radius (px)"
+            />
+            <input
+              type="number"
+              min="1"
+              value={motion.minArea}
+              onChange={(e) => setMotion({ ...motion, minArea: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              className="input input-key"
+              title="Minimum detection size (px)"
+            />
+          </div>
           <button
-            className={`btn ${tool === TOOL_BOAT_BOX ? 'active' : ''}`}
-            onClick={() => setTool(TOOL_BOAT_BOX)}
+            onClick={runMotionDetector}
+            disabled={detecting || project.frames.length < 2}
+            className="btn"
           >
-            🚤 Boat Box (2)
+            {detecting ? '⏳ Detecting...' : '▶ Detect Motion vs Neighbours'}
           </button>
-          <button
-            className={`btn ${tool === TOOL_BUOY_POINT ? 'active' : ''}`}
-            onClick={() => setTool(TOOL_BUOY_POINT)}
-          >
-            🪁 Buoy Point (3)
+          <button onClick={() => modelInputRef.current?.click()} className="btn" title={model?.name}>
+            📦 {model ? `Model: ${model.name}` : 'Load ONNX Model'}
           </button>
-          <button
-            className={`btn ${tool === TOOL_BUOY_BOX ? 'active' : ''}`}
-            onClick={() => setTool(TOOL_BUOY_BOX)}
-          >
-            🪁 Buoy Box (4)
+          <input
+            ref={modelInputRef}
+            type="file"
+            accept=".onnx"
+            onChange={handleModelFileChange}
+            style={{ display: 'none' }}
+          />
+          {model && (
+            <>
+              <div className="property-row">
+                <span className="property-name">Input / IoU</span>
+                <input
+                  type="number"
+                  min="32"
+                  max={MODEL_SIZE_MAX}
+                  step="32"
+                  value={modelConfig.size}
+                  onChange={(e) =>
+                    setModelConfig({
+                      ...modelConfig,
+                      size: Math.max(32, Math.min(MODEL_SIZE_MAX, parseInt(e.target.value, 10) || MODEL_DEFAULTS.size)),
+                    })
+                  }
+                  className="input input-wide"
+                  title="Letterbox size (px, square)"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={modelConfig.iou}
+                  onChange={(e) =>
+                    setModelConfig({ ...modelConfig, iou: Math.max(0, Math.min(1, parseFloat(e.target.value) || 0)) })
+                  }
+                  className="input input-wide"
+                  title="NMS IoU threshold"
+                />
+              </div>
+              <label className="checkbox-label" title="YOLOv5-style head with an objectness score before the class scores">
+                <input
+                  type="checkbox"
+                  checked={modelConfig.objectness}
+                  onChange={(e) => setModelConfig({ ...modelConfig, objectness: e.target.checked })}
+                />
+                Objectness column
+              </label>
+              <input
+                type="text"
+                value={modelConfig.classMap}
+                placeholder="Class map, e.g. 0=boat (blank: all as Accept as)"
+                onChange={(e) => setModelConfig({ ...modelConfig, classMap: e.target.value })}
+                className="input"
+              />
+              <div className="property-row">
+                <span className="property-name">Frames</span>
+                {['first', 'last'].map((key) => (
+                  <input
+                    key={key}
+                    type="number"
+                    min="1"
+                    max={project.frames.length}
+                    value={modelRange[key]}
+                    placeholder={String(project.currentIndex + 1)}
+                    onChange={(e) => setModelRange({ ...modelRange, [key]: e.target.value })}
+                    className="input input-wide"
+                    title={key === 'first' ? 'First frame (blank: current)' : 'Last frame (blank: same as first)'}
+                  />
+                ))}
+              </div>
+              <button onClick={runModel} disabled={detecting} className="btn">
+                {detecting ? '⏳ Detecting...' : '▶ Run Model'}
+              </button>
+              <div className="property-row">
+                <span className="property-name">Confidence</span>
+                <input
+                  type="range"
+                  min="0.05"
+                  max="1"
+                  step="0.01"
+                  value={modelConfig.threshold}
+                  onChange={(e) => setModelConfig({ ...modelConfig, threshold: parseFloat(e.target.value) })}
+                  style={{ flex: 1, minWidth: 0 }}
+                  title="Hide model suggestions below this confidence"
+                />
+                <span className="property-mono">{modelConfig.threshold.toFixed(2)}</span>
+              </div>
+            </>
+          )}
+          {frameSuggestions.length > 0 && (
+            <>
+              <div className="nav-buttons">
+                <button onClick={() => acceptSuggestions(null)} className="btn">
+                  ✓ Accept All ({frameSuggestions.length})
+                </button>
+                <button onClick={() => dismissSuggestions(null)} className="btn">
+                  ✕ Clear
+                </button>
+              </div>
+              <div className="list">
+                {frameSuggestions.map((s) => (
+                  <div
+                    key={s.id}
+                    className="list-item suggestion-item"
+                    style={{ borderLeftColor: SUGGESTION_STYLES[s.source].color }}
+                  >
+                    <span className="suggestion-label">
+                      {SUGGESTION_STYLES[s.source].name} {formatSuggestion(s, classById)} · {Math.round(s.w)}×
+                      {Math.round(s.h)} @ ({Math.round(s.x)}, {Math.round(s.y)})
+                    </span>
+                    <button onClick={() => acceptSuggestions([s.id])} className="btn btn-icon" title="Accept">
+                      ✓
+                    </button>
+                    <button onClick={() => dismissSuggestions([s.id])} className="btn btn-icon" title="Dismiss">
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+
+        {selectedAnnotation && (
+          <div className="section">
+            <h3>🧾 Properties</h3>
+            <div className="property-row">
+              <span className="property-name">Class</span>
+              <select
+                value={selectedAnnotation.label}
+                onChange={(e) =>
+                  updateAnnotation(selectedAnnotation.id, { label: e.target.value }, selection.type === 'global')
+                }
+                className="input input-wide"
+              >
+                {!classById[selectedAnnotation.label]?.geometries.includes(selectedAnnotation.type) && (
+                  <option value={selectedAnnotation.label}>
+                    {classById[selectedAnnotation.label]?.name ?? selectedAnnotation.label}
+                  </option>
+                )}
+                {classes
+                  .filter(
+                    (c) =>
+                      c.scope === (selection.type === 'global' ? SCOPE_GLOBAL : SCOPE_FRAME) &&
+                      c.geometries.includes(selectedAnnotation.type)
+                  )
+                  .map((c) => (
+                    <option key={c.id} value={c.id}>
+                      {c.name}
+                    </option>
+                  ))}
+              </select>
+            </div>
+            <div className="property-row">
+              <span className="property-name">Geometry</span>
+              <span>{GEOMETRY_NAMES[selectedAnnotation.type] || selectedAnnotation.type}</span>
+            </div>
+            <div className="property-row">
+              <span className="property-name">ID</span>
+              <span className="property-mono">{selectedAnnotation.id}</span>
+            </div>
+            {selection.type === 'frame' && (
+              <div className="property-row">
+                <span className="property-name">Track (T)</span>
+                <select
+                  value={selectedAnnotation.trackId ?? ''}
+                  onChange={(e) => {
+                    const v = e.target.value;
+                    assignTrack(selectedAnnotation.id, v === '' ? null : v === TRACK_NEW ? TRACK_NEW : Number(v));
+                  }}
+                  className="input input-wide"
+                >
+                  <option value="">— none —</option>
+                  {tracks.map((t) => (
+                    <option key={t.id} value={t.id}>
+                      T{t.id}
+                    </option>
+                  ))}
+                  <option value={TRACK_NEW}>+ New track</option>
+                </select>
+              </div>
+            )}
+            {selectedAnnotation.trackId != null && (
+              <div className="property-row">
+                <span className="property-name">Frame role</span>
+                <span>{selectedAnnotation.interpolated ? 'Interpolated' : 'Keyframe'}</span>
+              </div>
+            )}
+            {selectedPolar && (
+              <div className="property-row">
+                <span className="property-name">Range / bearing</span>
+                <span className="property-mono">
+                  {selectedPolar.range.toFixed(1)} m / {selectedPolar.bearing.toFixed(1)}°
+                </span>
+              </div>
+            )}
+            {selectedLatLon && (
+              <div className="property-row">
+                <span className="property-name">Lat / lon</span>
+                <span className="property-mono">
+                  {selectedLatLon.lat.toFixed(6)}, {selectedLatLon.lon.toFixed(6)}
+                </span>
+              </div>
+            )}
+            {selectedAnnotation.matchScore != null && (
+              <div className="property-row">
+                <span className="property-name">Match score</span>
+                <span className="property-mono">{selectedAnnotation.matchScore.toFixed(3)}</span>
+              </div>
+            )}
+            {selection.type === 'frame' && selectedAnnotation.type === ANNOTATION_BBOX && (
+              <div className="property-row">
+                <span className="property-name">Propagate</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={propagation.threshold}
+                  onChange={(e) =>
+                    setPropagation({
+                      ...propagation,
+                      threshold: Math.max(0, Math.min(1, parseFloat(e.target.value) || 0)),
+                    })
+                  }
+                  className="input input-wide"
+                  title="Stop when the match score drops below this"
+                />
+                <input
+                  type="number"
+                  min="1"
+                  max={MATCH_RADIUS_MAX}
+                  value={propagation.radius}
+                  onChange={(e) =>
+                    setPropagation({
+                      ...propagation,
+                      radius: Math.max(1, Math.min(MATCH_RADIUS_MAX, parseInt(e.target.value, 10) || MATCH_SEARCH_RADIUS)),
+                    })
+                  }
+                  className="input input-key"
+                  title="Search radius (image px)"
+                />
+                <button
+                  onClick={propagateSelection}
+                  disabled={propagating || project.currentIndex >= project.frames.length - 1}
+                  className="btn btn-icon"
+                  title="Track this box into the next frames"
+                >
+                  {propagating ? '⏳' : '⏩'}
+                </button>
+              </div>
+            )}
+            {selection.type === 'global' && (
+              <>
+                <div className="property-row">
+                  <span className="property-name">This frame</span>
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={!selectedAnnotation.frameOverrides?.[project.currentIndex]?.hidden}
+                      onChange={(e) => setGlobalFrameOverride(selectedAnnotation.id, { hidden: !e.target.checked })}
+                    />
+                    Visible
+                  </label>
+                  {!isGlobalInFrameRange(selectedAnnotation, project.currentIndex) && (
+                    <span className="property-note">outside frame range</span>
+                  )}
+                </div>
+                <div className="property-row">
+                  <span className="property-name">Offset (Alt+drag)</span>
+                  {['dx', 'dy'].map((axis) => (
+                    <input
+                      key={axis}
+                      type="number"
+                      step="any"
+                      title={axis}
+                      value={getGlobalOffset(selectedAnnotation, project.currentIndex)[axis]}
+                      onChange={(e) =>
+                        setGlobalFrameOverride(selectedAnnotation.id, { [axis]: parseFloat(e.target.value) || 0 })
+                      }
+                      className="input input-wide"
+                    />
+                  ))}
+                  <button
+                    onClick={() => setGlobalFrameOverride(selectedAnnotation.id, { dx: 0, dy: 0 })}
+                    className="btn btn-icon"
+                    title="Reset offset in this frame"
+                  >
+                    ↺
+                  </button>
+                </div>
+                {[
+                  { bound: 'firstFrame', name: 'First frame' },
+                  { bound: 'lastFrame', name: 'Last frame' },
+                ].map(({ bound, name }) => (
+                  <div key={bound} className="property-row">
+                    <span className="property-name">{name}</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max={project.frames.length}
+                      placeholder="—"
+                      value={selectedAnnotation[bound] != null ? selectedAnnotation[bound] + 1 : ''}
+                      onChange={(e) => {
+                        const v = parseInt(e.target.value, 10);
+                        setGlobalFrameRange(
+                          selectedAnnotation.id,
+                          bound,
+                          Number.isNaN(v) ? null : Math.max(0, Math.min(project.frames.length - 1, v - 1))
+                        );
+                      }}
+                      className="input input-wide"
+                    />
+                    <button
+                      onClick={() => setGlobalFrameRange(selectedAnnotation.id, bound, project.currentIndex)}
+                      className="btn btn-icon"
+                      title="Use the current frame"
+                    >
+                      ⌖
+                    </button>
+                  </div>
+                ))}
+              </>
+            )}
+            <div className="property-row">
+              <span className="property-name">Review</span>
+              <select
+                value={getReviewStatus(selectedAnnotation)}
+                onChange={(e) => setReview({ reviewStatus: e.target.value })}
+                className="input input-wide"
+                style={{ borderLeft: `4px solid ${REVIEW_STYLES[getReviewStatus(selectedAnnotation)].color}` }}
+              >
+                {REVIEW_STATUSES.map((r) => (
+                  <option key={r} value={r}>
+                    {REVIEW_STYLES[r].name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="property-row">
+              <span className="property-name">Review note</span>
+              <textarea
+                value={selectedAnnotation.reviewComment || ''}
+                rows={2}
+                onChange={(e) => setReview({ reviewComment: e.target.value })}
+                className="input input-wide"
+              />
+            </div>
+            {(classById[selectedAnnotation.label]?.attributes || []).map((attr) => (
+              <div key={attr.id} className="property-row">
+                <span className="property-name">{attr.name}</span>
+                {renderAttributeInput(attr, selectedAnnotation.attributes?.[attr.id], (value) =>
+                  setAnnotationAttribute(selectedAnnotation, attr.id, value)
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {selectedItems.length > 1 && (
+          <div className="section">
+            <h3>🧾 Selection ({selectedItems.length})</h3>
+            <div className="property-row">
+              <span className="property-name">Relabel</span>
+              <select value="" onChange={(e) => relabelSelection(e.target.value)} className="input input-wide">
+                <option value="">— class —</option>
+                {classes.map((c) => (
+                  <option key={c.id} value={c.id}>
+                    {c.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="property-row">
+              <span className="property-name">Review</span>
+              <select value="" onChange={(e) => setReview({ reviewStatus: e.target.value })} className="input input-wide">
+                <option value="">— status —</option>
+                {REVIEW_STATUSES.map((r) => (
+                  <option key={r} value={r}>
+                    {REVIEW_STYLES[r].name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {sharedAttributes.map((attr) => {
+              // Show the value only when every selected annotation agrees on it
+              const values = selectedAnnotations.map((a) => a.attributes?.[attr.id]);
+              const common = values.every((v) => v === values[0]) ? values[0] : undefined;
+              return (
+                <div key={attr.id} className="property-row">
+                  <span className="property-name">{attr.name}</span>
+                  {renderAttributeInput(attr, common, (value) => setSelectionAttribute(attr.id, value))}
+                </div>
+              );
+            })}
+            <button onClick={deleteAnnotation} className="btn btn-small">
+              🗑️ Delete selected
+            </button>
+          </div>
+        )}
+
+        <div className="section">
+          <h3>🏷️ Classes</h3>
+          {classes.map((cls) => (
+            <div key={cls.id} className="class-editor">
+              <div className="class-editor-row">
+                <input
+                  type="color"
+                  value={cls.color}
+                  onChange={(e) => updateClass(cls.id, { color: e.target.value })}
+                  className="color-input"
+                />
+                <input
+                  type="text"
+                  value={cls.name}
+                  onChange={(e) => updateClass(cls.id, { name: e.target.value })}
+                  className="input input-wide"
+                />
+                <input
+                  type="text"
+                  value={cls.hotkey || ''}
+                  placeholder="key"
+                  title="Hotkey"
+                  onChange={(e) => updateClass(cls.id, { hotkey: e.target.value })}
+                  className="input input-key"
+                />
+                <button onClick={() => deleteClass(cls.id)} className="btn btn-icon" title="Delete class">
+                  ✕
+                </button>
+              </div>
+              <div className="class-editor-row">
+                <select
+                  value={cls.scope}
+                  onChange={(e) => updateClass(cls.id, { scope: e.target.value })}
+                  className="input"
+                >
+                  <option value={SCOPE_FRAME}>per-frame</option>
+                  <option value={SCOPE_GLOBAL}>global</option>
+                </select>
+                {GEOMETRY_TYPES.map((geometry) => (
+                  <label key={geometry} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={cls.geometries.includes(geometry)}
+                      onChange={(e) =>
+                        updateClass(cls.id, {
+                          geometries: e.target.checked
+                            ? GEOMETRY_TYPES.filter((g) => g === geometry || cls.geometries.includes(g))
+                            : cls.geometries.filter((g) => g !== geometry),
+                        })
+                      }
+                    />
+                    {GEOMETRY_NAMES[geometry]}
+                  </label>
+                ))}
+              </div>
+              {cls.attributes.map((attr) => (
+                <div key={attr.id} className="class-editor-row">
+                  <input
+                    type="text"
+                    value={attr.name}
+                    onChange={(e) => updateClassAttribute(cls, attr.id, { name: e.target.value })}
+                    className="input input-wide"
+                  />
+                  <select
+                    value={attr.type}
+                    onChange={(e) => updateClassAttribute(cls, attr.id, { type: e.target.value })}
+                    className="input"
+                  >
+                    {ATTR_TYPES.map((t) => (
+                      <option key={t} value={t}>
+                        {t}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => deleteClassAttribute(cls, attr.id)}
+                    className="btn btn-icon"
+                    title="Delete attribute"
+                  >
+                    ✕
+                  </button>
+                  {attr.type === ATTR_ENUM && (
+                    // Parsed when the field loses focus; the key resets it when the options change elsewhere (undo)
+                    <input
+                      key={(attr.options || []).join('\n')}
+                      type="text"
+                      defaultValue={(attr.options || []).join(', ')}
+                      placeholder="options, comma separated"
+                      onBlur={(e) => {
+                        const options = parseEnumOptions(e.target.value);
+                        e.target.value = options.join(', ');
+                        updateClassAttribute(cls, attr.id, { options });
+                      }}
+                      className="input input-wide"
+                    />
+                  )}
+                </div>
+              ))}
+              <button onClick={() => addClassAttribute(cls)} className="btn btn-small">
+                + Attribute
+              </button>
+            </div>
+          ))}
+          <button onClick={addClass} className="btn">
+            + Add Class
           </button>
         </div>
 
@@ -1475,43 +5629,495 @@ export default function RadarLabeler() {
             step="0.01"
             value={currentFrame.rotationDeg.toFixed(2)}
             onChange={(e) =>
-              updateFrameRotation(project.currentIndex, Math.max(ROTATION_MIN, Math.min(ROTATION_MAX, parseFloat(e.target.value))))
+              updateFrameRotation(project.currentIndex, parseFloat(e.target.value) || 0)
             }
             className="input"
           />
           <span>°</span>
+          <div className="property-row">
+            <span className="property-name">Shift</span>
+            {['dx', 'dy'].map((key) => (
+              <input
+                key={key}
+                type="number"
+                step="1"
+                value={currentFrame[key] || 0}
+                onChange={(e) =>
+                  updateFrameAlignment(project.currentIndex, { [key]: parseFloat(e.target.value) || 0 })
+                }
+                className="input input-wide"
+                title={`${key} (scene px)`}
+              />
+            ))}
+          </div>
+          <div className="property-row">
+            <span className="property-name">Pivot</span>
+            {['x', 'y'].map((key) => {
+              const { pivotX, pivotY } = getFrameTransform(currentFrame);
+              const pivot = { x: pivotX, y: pivotY };
+              return (
+                <input
+                  key={key}
+                  type="number"
+                  step="1"
+                  value={pivot[key]}
+                  onChange={(e) =>
+                    updateFrameAlignment(project.currentIndex, {
+                      pivot: { ...pivot, [key]: parseFloat(e.target.value) || 0 },
+                    })
+                  }
+                  className="input input-wide"
+                  title={`Pivot ${key} (image px), ideally the radar origin`}
+                />
+              );
+            })}
+            <button
+              onClick={() => updateFrameAlignment(project.currentIndex, { pivot: null })}
+              disabled={!currentFrame.pivot}
+              className="btn btn-icon"
+              title="Pivot about the image center"
+            >
+              ⌖
+            </button>
+          </div>
+          <button onClick={applyPivotToAll} className="btn" title="Use this frame's pivot for every frame">
+            Apply Pivot to All Frames
+          </button>
+          <div className="property-row">
+            <span className="property-name">Reference</span>
+            <input
+              type="number"
+              min="1"
+              max={project.frames.length}
+              value={Math.min(rotationReference, project.frames.length - 1) + 1}
+              onChange={(e) =>
+                setRotationReference(
+                  Math.max(0, Math.min(project.frames.length - 1, (parseInt(e.target.value, 10) || 1) - 1))
+                )
+              }
+              className="input input-wide"
+              title="Frame the others are registered against; it keeps its rotation"
+            />
+          </div>
+          <div className="nav-buttons">
+            <button
+              onClick={() => estimateRotation([project.currentIndex])}
+              disabled={detecting || project.frames.length < 2}
+              className="btn"
+            >
+              🎯 Estimate
+            </button>
+            <button
+              onClick={() => estimateRotation(project.frames.map((_, i) => i))}
+              disabled={detecting || project.frames.length < 2}
+              className="btn"
+            >
+              Estimate All
+            </button>
+          </div>
+          {currentFrame.rotationScore != null && (
+            <div
+              className="property-note"
+              style={{ color: currentFrame.rotationScore < ROTATION_SCORE_WARN ? '#ff4444' : undefined }}
+            >
+              Estimated, score {currentFrame.rotationScore.toFixed(2)}
+              {currentFrame.rotationScore < ROTATION_SCORE_WARN && ' — likely wrong'}
+            </div>
+          )}
         </div>
 
         <div className="section">
-          <h3>🐟 Boats ({currentFrame.annotations.length})</h3>
-          <div className="list">
-            {currentFrame.annotations.map((ann, idx) => (
-              <div
-                key={ann.id}
-                className={`list-item ${selection?.id === ann.id ? 'selected' : ''}`}
-                onClick={() => setSelection({ type: 'frame', id: ann.id, index: idx })}
-              >
-                {ann.label} {ann.type}
+          <h3>📡 Polar Image</h3>
+          <label className="checkbox-label" title="Range on one image axis, azimuth on the other; shown scan-converted">
+            <input
+              type="checkbox"
+              checked={!!currentFrame.polar}
+              onChange={(e) => updateFramePolar(project.currentIndex, e.target.checked ? POLAR_DEFAULTS : null)}
+            />
+            B-scope (range/azimuth) frame
+          </label>
+          {currentFrame.polar && (
+            <>
+              <div className="property-row">
+                <span className="property-name">Range axis</span>
+                <select
+                  value={currentFrame.polar.rangeAxis}
+                  onChange={(e) =>
+                    updateFramePolar(project.currentIndex, { ...currentFrame.polar, rangeAxis: e.target.value })
+                  }
+                  className="input input-wide"
+                >
+                  <option value={POLAR_RANGE_ROWS}>Rows (down)</option>
+                  <option value={POLAR_RANGE_COLUMNS}>Columns (right)</option>
+                </select>
               </div>
-            ))}
-          </div>
+              <div className="property-row">
+                <span className="property-name">Range / px</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={currentFrame.polar.rangePerPixel}
+                  onChange={(e) => {
+                    const rangePerPixel = parseFloat(e.target.value);
+                    if (rangePerPixel > 0) {
+                      updateFramePolar(project.currentIndex, { ...currentFrame.polar, rangePerPixel });
+                    }
+                  }}
+                  className="input input-wide"
+                  title="Meters per range bin"
+                />
+                <span>m</span>
+              </div>
+              <div className="property-row">
+                <span className="property-name">Azimuth origin</span>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={currentFrame.polar.azimuthOrigin}
+                  onChange={(e) =>
+                    updateFramePolar(project.currentIndex, {
+                      ...currentFrame.polar,
+                      azimuthOrigin: normalizeAngle(parseFloat(e.target.value) || 0),
+                    })
+                  }
+                  className="input input-wide"
+                  title="Bearing of the first azimuth bin, degrees clockwise"
+                />
+                <span>°</span>
+              </div>
+            </>
+          )}
+          <button onClick={applyPolarToAll} className="btn" title="Give every frame this frame's polar settings">
+            Apply to All Frames
+          </button>
         </div>
 
         <div className="section">
-          <h3>🪁 Global Buoys ({project.globalBuoys.length})</h3>
-          <div className="list">
-            {project.globalBuoys.map((buoy, idx) => (
-              <div
-                key={buoy.id}
-                className={`list-item ${selection?.id === buoy.id ? 'selected' : ''}`}
-                onClick={() => setSelection({ type: 'global', id: buoy.id, index: idx })}
+          <h3>🌍 Georeference</h3>
+          <div className="property-row">
+            <span className="property-name">Applies to</span>
+            <select
+              value={georefTarget}
+              onChange={(e) => {
+                setGeorefTarget(e.target.value);
+                setGeorefPick(null);
+              }}
+              className="input input-wide"
+            >
+              <option value={GEOREF_PROJECT}>Project (scene px)</option>
+              <option value={GEOREF_FRAME}>This frame (image px)</option>
+            </select>
+          </div>
+          <div className="property-row">
+            <span className="property-name">Method</span>
+            <select
+              value={editedGeoref?.method ?? ''}
+              onChange={(e) => updateGeoreference(georefTarget, createGeoreference(georefTarget, e.target.value))}
+              className="input input-wide"
+            >
+              <option value="">None</option>
+              <option value={GEOREF_RADAR}>Radar position</option>
+              <option value={GEOREF_GCP}>Control points</option>
+            </select>
+          </div>
+          {editedGeoref?.method === GEOREF_RADAR && (
+            <>
+              {[
+                { key: 'lat', name: 'Radar lat', step: 'any' },
+                { key: 'lon', name: 'Radar lon', step: 'any' },
+                { key: 'metersPerPixel', name: 'Meters / px', step: 'any' },
+                { key: 'northOffset', name: 'North offset', step: '0.1', title: 'Bearing of image up, degrees clockwise from true north' },
+              ].map(({ key, name, step, title }) => (
+                <div className="property-row" key={key}>
+                  <span className="property-name">{name}</span>
+                  <input
+                    type="number"
+                    step={step}
+                    value={editedGeoref[key] ?? ''}
+                    onChange={(e) =>
+                      updateGeoreference(georefTarget, {
+                        ...editedGeoref,
+                        [key]: e.target.value === '' ? null : parseFloat(e.target.value),
+                      })
+                    }
+                    className="input input-wide"
+                    title={title}
+                  />
+                </div>
+              ))}
+              <div className="property-row">
+                <span className="property-name">Origin</span>
+                <span className="property-mono">
+                  {editedGeoref.origin ? `${editedGeoref.origin.x.toFixed(1)}, ${editedGeoref.origin.y.toFixed(1)}` : '—'}
+                </span>
+                <button
+                  onClick={() => startGeoreferencePick(georefTarget, 'origin')}
+                  className={`btn btn-icon ${georefPick?.point === 'origin' ? 'active' : ''}`}
+                  title="Click the radar position on the canvas"
+                >
+                  📍
+                </button>
+              </div>
+            </>
+          )}
+          {editedGeoref?.method === GEOREF_GCP && (
+            <>
+              {editedGeoref.points.map((gcp, i) => (
+                <React.Fragment key={i}>
+                  <div className="property-row">
+                    <span className="property-name">Point {i + 1}</span>
+                    <span className="property-mono">
+                      {Number.isFinite(gcp.x) ? `${gcp.x.toFixed(1)}, ${gcp.y.toFixed(1)}` : '—'}
+                    </span>
+                    <button
+                      onClick={() => startGeoreferencePick(georefTarget, i)}
+                      className={`btn btn-icon ${georefPick?.point === i ? 'active' : ''}`}
+                      title="Click this point on the canvas"
+                    >
+                      📍
+                    </button>
+                    <button
+                      onClick={() => {
+                        setGeorefPick(null);
+                        updateGeoreference(georefTarget, {
+                          ...editedGeoref,
+                          points: editedGeoref.points.filter((_, j) => j !== i),
+                        });
+                      }}
+                      className="btn btn-icon"
+                      title="Remove control point"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                  <div className="property-row">
+                    <span className="property-name">Lat / lon</span>
+                    {['lat', 'lon'].map((key) => (
+                      <input
+                        key={key}
+                        type="number"
+                        step="any"
+                        value={gcp[key] ?? ''}
+                        onChange={(e) =>
+                          updateGeoreference(georefTarget, {
+                            ...editedGeoref,
+                            points: editedGeoref.points.map((p, j) =>
+                              j === i ? { ...p, [key]: e.target.value === '' ? null : parseFloat(e.target.value) } : p
+                            ),
+                          })
+                        }
+                        className="input input-wide"
+                        title={key === 'lat' ? 'Latitude' : 'Longitude'}
+                      />
+                    ))}
+                  </div>
+                </React.Fragment>
+              ))}
+              <button
+                onClick={() => {
+                  const index = editedGeoref.points.length;
+                  updateGeoreference(georefTarget, {
+                    ...editedGeoref,
+                    points: [...editedGeoref.points, { x: null, y: null, lat: null, lon: null }],
+                  });
+                  startGeoreferencePick(georefTarget, index);
+                }}
+                className="btn"
               >
-                {buoy.label} {buoy.type}
+                + Add Control Point
+              </button>
+            </>
+          )}
+          {editedGeorefFit && (
+            <div className="property-note" style={{ color: editedGeorefFit.error ? '#ff4444' : undefined }}>
+              {editedGeorefFit.error ||
+                (editedGeoref.method === GEOREF_GCP ? `Fit RMS ${editedGeorefFit.rms.toFixed(1)} m` : 'Georeferenced')}
+            </div>
+          )}
+          {georefTarget === GEOREF_PROJECT && currentFrame.georef && (
+            <div className="property-note">This frame has its own georeference, which takes precedence</div>
+          )}
+        </div>
+
+        <div className="section">
+          <h3>🗂️ Layers</h3>
+          {[
+            { key: 'frame', name: 'Frame layer' },
+            ...classes.filter((c) => c.scope === SCOPE_FRAME).map((c) => ({ key: classLayerKey(c.id), cls: c })),
+            { key: 'global', name: 'Global layer' },
+            ...classes.filter((c) => c.scope === SCOPE_GLOBAL).map((c) => ({ key: classLayerKey(c.id), cls: c })),
+            { key: LAYER_SUGGESTIONS, name: 'Suggestions' },
+          ].map(({ key, name, cls }) => {
+            const layer = getLayer(project.layers, key);
+            return (
+              <div key={key} className={`layer-row ${cls ? 'layer-row-class' : ''}`}>
+                <button
+                  onClick={() => updateLayer(key, { visible: !layer.visible })}
+                  className={`btn btn-icon ${layer.visible ? '' : 'layer-off'}`}
+                  title={layer.visible ? 'Hide' : 'Show'}
+                >
+                  {layer.visible ? '👁' : '◌'}
+                </button>
+                <button
+                  onClick={() => updateLayer(key, { locked: !layer.locked })}
+                  className={`btn btn-icon ${layer.locked ? 'active' : ''}`}
+                  title={layer.locked ? 'Unlock' : 'Lock against selection and editing'}
+                >
+                  {layer.locked ? '🔒' : '🔓'}
+                </button>
+                <span className="layer-name">
+                  {cls && <span className="class-swatch" style={{ background: cls.color }} />}
+                  {cls ? cls.name : name}
+                </span>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={layer.opacity}
+                  onChange={(e) => updateLayer(key, { opacity: parseFloat(e.target.value) })}
+                  className="layer-opacity"
+                  title={`Opacity ${Math.round(layer.opacity * 100)}%`}
+                />
               </div>
-            ))}
+            );
+          })}
+        </div>
+
+        {classes.map((cls) => {
+          const isGlobal = cls.scope === SCOPE_GLOBAL;
+          const anns = isGlobal ? project.globalBuoys : currentFrame.annotations;
+          const items = anns.map((ann, idx) => ({ ann, idx })).filter(({ ann }) => ann.label === cls.id);
+          return (
+            <div className="section" key={cls.id}>
+              <h3>
+                <span className="class-swatch" style={{ background: cls.color }} />
+                {cls.name} {isGlobal && '(global) '}({items.length})
+              </h3>
+              <div className="list">
+                {items.map(({ ann, idx }) => (
+                  <div
+                    key={ann.id}
+                    className={`list-item ${isItemSelected(isGlobal ? 'global' : 'frame', ann.id) ? 'selected' : ''} ${
+                      isAnnotationEditable(project.layers, ann, isGlobal) ? '' : 'disabled'
+                    } ${isGlobal && !resolveGlobalAnnotation(ann, project.currentIndex) ? 'absent' : ''}`}
+                    onClick={(e) => {
+                      if (!isAnnotationEditable(project.layers, ann, isGlobal)) return;
+                      const item = { type: isGlobal ? 'global' : 'frame', id: ann.id, index: idx };
+                      if (e.shiftKey) toggleSelectionItem(item);
+                      else setSelection(item);
+                    }}
+                  >
+                    {cls.name} {ann.type}
+                    {ann.type === ANNOTATION_OBB &&
+                      ` ${getHeadingDeg(ann, isGlobal ? 0 : currentFrame.rotationDeg).toFixed(1)}°`}
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+
+        <div className="section">
+          <h3>🧵 Tracks ({tracks.length})</h3>
+          <label className="checkbox-label">
+            <input type="checkbox" checked={showGhosts} onChange={(e) => setShowGhosts(e.target.checked)} />
+            Show predicted positions{ghosts.length > 0 && ` (${ghosts.length})`}
+          </label>
+          <div className="property-row">
+            <span className="property-name">Interpolation</span>
+            <select value={interpMode} onChange={(e) => setInterpMode(e.target.value)} className="input input-wide">
+              <option value={INTERP_LINEAR}>Linear</option>
+              <option value={INTERP_SPLINE}>Spline</option>
+            </select>
+          </div>
+          <div className="list">
+            {tracks.map((t) => {
+              const span = trackSpans[t.id];
+              const inFrame = currentFrame.annotations.find((a) => a.trackId === t.id);
+              return (
+                <div
+                  key={t.id}
+                  className={`list-item track-item ${inFrame && selection?.id === inFrame.id ? 'selected' : ''}`}
+                  style={{ borderLeftColor: t.color }}
+                  onClick={() => {
+                    if (inFrame) {
+                      setSelection({
+                        type: 'frame',
+                        id: inFrame.id,
+                        index: currentFrame.annotations.indexOf(inFrame),
+                      });
+                    } else if (span) {
+                      goToFrame(span.first);
+                    }
+                  }}
+                >
+                  <span className="track-label">
+                    T{t.id}{' '}
+                    {span ? `frames ${span.first + 1}–${span.last + 1} (${span.count})` : 'empty'}
+                  </span>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      runTrackInterpolation(t.id);
+                    }}
+                    className="btn btn-icon"
+                    title="Fill frames between keyframes"
+                  >
+                    ⇢
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      deleteTrack(t.id);
+                    }}
+                    className="btn btn-icon"
+                    title="Delete track (keeps annotations)"
+                  >
+                    ✕
+                  </button>
+                </div>
+              );
+            })}
           </div>
         </div>
 
+        <div className="section">
+          <h3>✅ Review ({reviewQueue.length} left)</h3>
+          <button onClick={toggleReviewMode} className={`btn ${reviewMode ? 'active' : ''}`}>
+            {reviewMode ? '✕ Exit Review Mode' : '▶ Start Review Mode'}
+          </button>
+          {reviewMode && (
+            <div className="review-hint">
+              Y accept · R reject · F needs fix · U unreviewed · S skip · Esc exit. With nothing selected the
+              keys apply to the frame.
+            </div>
+          )}
+          <div className="property-row">
+            <span className="property-name">Frame {project.currentIndex + 1}</span>
+            <select
+              value={getReviewStatus(currentFrame)}
+              onChange={(e) => setFrameReview({ reviewStatus: e.target.value })}
+              className="input input-wide"
+              style={{ borderLeft: `4px solid ${REVIEW_STYLES[getReviewStatus(currentFrame)].color}` }}
+            >
+              {REVIEW_STATUSES.map((r) => (
+                <option key={r} value={r}>
+                  {REVIEW_STYLES[r].name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            value={currentFrame.reviewComment || ''}
+            rows={2}
+            placeholder="Frame review note"
+            onChange={(e) => setFrameReview({ reviewComment: e.target.value })}
+            className="input"
+          />
+        </div>
+
         <div className="section">
           <h3>📍 Navigation</h3>
           <div className="nav-buttons">
@@ -1538,6 +6144,51 @@ export default function RadarLabeler() {
           >
             {showFrameList ? '✕ Hide Frame List' : '📋 Show Frame Order'}
           </button>
+          <button
+            onClick={carryForward}
+            disabled={project.currentIndex === 0}
+            className="btn"
+            style={{ marginTop: '8px', width: '100%' }}
+            title="Copy every annotation from the previous frame into this one"
+          >
+            ⏩ Carry Forward from Previous
+          </button>
+        </div>
+
+        <div className="section">
+          <h3>↶ History ({history.past.length})</h3>
+          <div className="nav-buttons">
+            <button onClick={() => undo()} disabled={history.past.length === 0} className="btn">
+              ↶ Undo
+            </button>
+            <button onClick={() => redo()} disabled={history.future.length === 0} className="btn">
+              Redo ↷
+            </button>
+          </div>
+          {(history.past.length > 0 || history.future.length > 0) && (
+            <div className="list" style={{ marginTop: '8px' }}>
+              {history.past.map((entry, i) => (
+                <div
+                  key={`past-${entry.time}-${i}`}
+                  className={`list-item ${i === history.past.length - 1 ? 'selected' : ''}`}
+                  title="Undo back to before this change"
+                  onClick={() => undo(history.past.length - i)}
+                >
+                  {entry.label}
+                </div>
+              ))}
+              {[...history.future].reverse().map((entry, i) => (
+                <div
+                  key={`future-${entry.time}-${i}`}
+                  className="list-item history-undone"
+                  title="Redo up to this change"
+                  onClick={() => redo(i + 1)}
+                >
+                  {entry.label}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
 
         <div className="section">
@@ -1554,6 +6205,7 @@ export default function RadarLabeler() {
         onMouseMove={handleCanvasMouseMove}
         onMouseUp={handleCanvasMouseUp}
         onMouseLeave={handleCanvasMouseLeave}
+        onDoubleClick={handleCanvasDoubleClick}
       />
 
       {/* Frame List Modal */}
@@ -1643,7 +6295,27 @@ export default function RadarLabeler() {
                 >
                   <strong>#{idx + 1}</strong>: {frame.name || 'Unnamed'}
                   <span style={{ marginLeft: '10px', fontSize: '11px', opacity: 0.7 }}>
-                    ({frame.width}×{frame.height}, {frame.annotations?.length || 0} boats)
+                    ({frame.width}×{frame.height}, {frame.annotations?.length || 0} annotations,{' '}
+                    {(frame.annotations || []).filter((a) => getReviewStatus(a) !== REVIEW_UNREVIEWED).length}/
+                    {frame.annotations?.length || 0} reviewed, rot {frame.rotationDeg.toFixed(2)}°
+                    {frame.rotationScore != null && (
+                      <span style={{ color: frame.rotationScore < ROTATION_SCORE_WARN ? '#ff4444' : undefined }}>
+                        {' '}
+                        q {frame.rotationScore.toFixed(2)}
+                      </span>
+                    )}
+                    )
+                  </span>
+                  <span
+                    title={frame.reviewComment || ''}
+                    style={{
+                      marginLeft: '10px',
+                      fontSize: '11px',
+                      fontWeight: 600,
+                      color: REVIEW_STYLES[getReviewStatus(frame)].color,
+                    }}
+                  >
+                    {REVIEW_STYLES[getReviewStatus(frame)].badge} {REVIEW_STYLES[getReviewStatus(frame)].name}
                   </span>
                 </div>
               ))}
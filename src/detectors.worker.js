@@ -0,0 +1,582 @@
+// Target detectors for RadarLabeler, run off the main thread.
+//
+// Requests:
+//   { id, type: 'cfar', image: ImageData, params }
+//   { id, type: 'motion', image: ImageData, transform, neighbors: [{ image, transform }], params }
+//   { id, type: 'rotation', image: ImageData, transform, reference: ImageData, referenceTransform, params }
+//   { id, type: 'match', image: ImageData, transform, box, target: ImageData, targetTransform, center, params }
+//   { id, type: 'scan', image: ImageData, width, height, polar }
+// Response: { id, result } or { id, error }. The detectors return
+// [{ x, y, w, h, score }]; rotation returns { rotationDeg, score }; match
+// returns { x, y, score } or null; scan returns the scan-converted ImageData,
+// transferred rather than copied.
+//
+// Transforms are the frames' rigid transforms { rotationDeg, dx, dy, pivotX,
+// pivotY }, placing each image in the shared scene.
+//
+// Detections are boxes in the frame's image space (pixel edges, so a single
+// pixel at (3, 4) is { x: 3, y: 4, w: 1, h: 1 }). CFAR scores are the peak
+// signal-to-noise ratio in dB, motion scores the peak intensity difference.
+
+const MAX_DETECTIONS = 500;
+
+// ============================================================================
+// PIXELS
+// ============================================================================
+
+// Radar returns are often rendered in colour, so the brightest channel is the intensity
+function toIntensity(image) {
+  const { width, height, data } = image;
+  const out = new Uint8Array(width * height);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = Math.max(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+  }
+  return out;
+}
+
+// Groups set mask pixels into 8-connected blobs and returns their boxes,
+// strongest first. `scoreAt(idx)` rates a pixel; a blob scores its best pixel.
+function labelBlobs(mask, width, height, minArea, scoreAt) {
+  const visited = new Uint8Array(width * height);
+  const blobs = [];
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || visited[start]) continue;
+    visited[start] = 1;
+    const stack = [start];
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    let area = 0;
+    let score = -Infinity;
+    while (stack.length > 0) {
+      const idx = stack.pop();
+      const px = idx % width;
+      const py = (idx - px) / width;
+      area++;
+      score = Math.max(score, scoreAt(idx));
+      minX = Math.min(minX, px);
+      minY = Math.min(minY, py);
+      maxX = Math.max(maxX, px);
+      maxY = Math.max(maxY, py);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = px + dx;
+          const ny = py + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const n = ny * width + nx;
+          if (mask[n] && !visited[n]) {
+            visited[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+    }
+    if (area >= minArea) {
+      blobs.push({ x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1, score });
+    }
+  }
+  blobs.sort((a, b) => b.score - a.score);
+  return blobs.slice(0, MAX_DETECTIONS);
+}
+
+// ============================================================================
+// CFAR
+// ============================================================================
+
+// Threshold multipliers for exponentially distributed clutter with `n` training cells
+function caAlpha(n, pfa) {
+  return n * (Math.pow(pfa, -1 / n) - 1);
+}
+
+// OS-CFAR: Pfa = prod_{i=0}^{k-1} (n - i) / (n - i + alpha), solved for alpha by bisection
+function osAlpha(n, k, pfa) {
+  const pfaFor = (alpha) => {
+    let p = 1;
+    for (let i = 0; i < k; i++) p *= (n - i) / (n - i + alpha);
+    return p;
+  };
+  let lo = 0;
+  let hi = 1;
+  while (pfaFor(hi) > pfa && hi < 1e6) hi *= 2;
+  for (let iter = 0; iter < 60; iter++) {
+    const mid = (lo + hi) / 2;
+    if (pfaFor(mid) > pfa) lo = mid;
+    else hi = mid;
+  }
+  return hi;
+}
+
+// Rank of the ordered statistic used as the noise estimate
+function osRank(n) {
+  return Math.max(1, Math.round(n * 0.75));
+}
+
+// Per-pixel noise estimate and training-cell count for cell-averaging CFAR,
+// using an integral image so each cell costs O(1)
+function caNoise(intensity, width, height, guard, train) {
+  const outer = guard + train;
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += intensity[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+  const boxSum = (x0, y0, x1, y1) =>
+    integral[(y1 + 1) * (width + 1) + x1 + 1] -
+    integral[y0 * (width + 1) + x1 + 1] -
+    integral[(y1 + 1) * (width + 1) + x0] +
+    integral[y0 * (width + 1) + x0];
+
+  const noise = new Float32Array(width * height);
+  const count = new Uint16Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const oy0 = Math.max(0, y - outer);
+    const oy1 = Math.min(height - 1, y + outer);
+    const gy0 = Math.max(0, y - guard);
+    const gy1 = Math.min(height - 1, y + guard);
+    for (let x = 0; x < width; x++) {
+      const ox0 = Math.max(0, x - outer);
+      const ox1 = Math.min(width - 1, x + outer);
+      const gx0 = Math.max(0, x - guard);
+      const gx1 = Math.min(width - 1, x + guard);
+      const n = (ox1 - ox0 + 1) * (oy1 - oy0 + 1) - (gx1 - gx0 + 1) * (gy1 - gy0 + 1);
+      const sum = boxSum(ox0, oy0, ox1, oy1) - boxSum(gx0, gy0, gx1, gy1);
+      const idx = y * width + x;
+      count[idx] = n;
+      noise[idx] = n > 0 ? sum / n : 0;
+    }
+  }
+  return { noise, count };
+}
+
+// Per-pixel noise estimate for ordered-statistic CFAR. Training cells are kept
+// in sliding 256-bin histograms (outer window minus guard window) along each row.
+function osNoise(intensity, width, height, guard, train) {
+  const outer = guard + train;
+  const noise = new Float32Array(width * height);
+  const count = new Uint16Array(width * height);
+  const hist = new Int32Array(256);
+  const addColumn = (x, y0, y1, sign) => {
+    if (x < 0 || x >= width) return;
+    for (let y = y0; y <= y1; y++) hist[intensity[y * width + x]] += sign;
+  };
+
+  for (let y = 0; y < height; y++) {
+    const oy0 = Math.max(0, y - outer);
+    const oy1 = Math.min(height - 1, y + outer);
+    const gy0 = Math.max(0, y - guard);
+    const gy1 = Math.min(height - 1, y + guard);
+    hist.fill(0);
+    for (let x = -outer; x < outer; x++) addColumn(x, oy0, oy1, 1);
+    for (let x = -guard; x < guard; x++) addColumn(x, gy0, gy1, -1);
+
+    for (let x = 0; x < width; x++) {
+      // Slide both windows one column right
+      addColumn(x + outer, oy0, oy1, 1);
+      addColumn(x - outer - 1, oy0, oy1, -1);
+      addColumn(x + guard, gy0, gy1, -1);
+      addColumn(x - guard - 1, gy0, gy1, 1);
+
+      const ox0 = Math.max(0, x - outer);
+      const ox1 = Math.min(width - 1, x + outer);
+      const gx0 = Math.max(0, x - guard);
+      const gx1 = Math.min(width - 1, x + guard);
+      const n = (ox1 - ox0 + 1) * (oy1 - oy0 + 1) - (gx1 - gx0 + 1) * (gy1 - gy0 + 1);
+      const idx = y * width + x;
+      count[idx] = n;
+      if (n <= 0) continue;
+      const k = osRank(n);
+      let seen = 0;
+      for (let v = 0; v < 256; v++) {
+        seen += hist[v];
+        if (seen >= k) {
+          noise[idx] = v;
+          break;
+        }
+      }
+    }
+  }
+  return { noise, count };
+}
+
+// params: { method: 'ca' | 'os', guard, train, pfa, minArea }
+function runCfar(image, params) {
+  const { width, height } = image;
+  const guard = Math.max(0, Math.round(params.guard));
+  const train = Math.max(1, Math.round(params.train));
+  const intensity = toIntensity(image);
+  const { noise, count } =
+    params.method === 'os'
+      ? osNoise(intensity, width, height, guard, train)
+      : caNoise(intensity, width, height, guard, train);
+
+  // Multipliers depend only on the training-cell count, which varies near the edges
+  const alphas = new Map();
+  const alphaFor = (n) => {
+    if (!alphas.has(n)) alphas.set(n, params.method === 'os' ? osAlpha(n, osRank(n), params.pfa) : caAlpha(n, params.pfa));
+    return alphas.get(n);
+  };
+
+  const mask = new Uint8Array(width * height);
+  for (let idx = 0; idx < mask.length; idx++) {
+    const n = count[idx];
+    if (n <= 0) continue;
+    // An all-black neighbourhood would otherwise make every non-zero pixel a detection
+    if (intensity[idx] > alphaFor(n) * Math.max(1, noise[idx])) mask[idx] = 1;
+  }
+  const snrDb = (idx) => 10 * Math.log10(Math.max(1, intensity[idx]) / Math.max(1, noise[idx]));
+  return labelBlobs(mask, width, height, Math.max(1, params.minArea || 1), snrDb);
+}
+
+// ============================================================================
+// MOTION
+// ============================================================================
+
+// Resamples intensities `src` (sw x sh, placed in the scene by transform
+// `from`) into the image space of a `width` x `height` frame placed by `to`.
+// Pixels that fall outside the source are -1.
+function warpIntensity(src, sw, sh, from, width, height, to) {
+  const radTo = (to.rotationDeg * Math.PI) / 180;
+  const radFrom = (-from.rotationDeg * Math.PI) / 180;
+  const cosTo = Math.cos(radTo);
+  const sinTo = Math.sin(radTo);
+  const cosFrom = Math.cos(radFrom);
+  const sinFrom = Math.sin(radFrom);
+  const out = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Target pixel center -> scene -> source image
+      const tx = x + 0.5 - to.pivotX;
+      const ty = y + 0.5 - to.pivotY;
+      const ux = tx * cosTo - ty * sinTo + to.pivotX + to.dx - from.dx - from.pivotX;
+      const uy = tx * sinTo + ty * cosTo + to.pivotY + to.dy - from.dy - from.pivotY;
+      const sx = ux * cosFrom - uy * sinFrom + from.pivotX - 0.5;
+      const sy = ux * sinFrom + uy * cosFrom + from.pivotY - 0.5;
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      if (x0 < 0 || y0 < 0 || x0 + 1 >= sw || y0 + 1 >= sh) {
+        out[y * width + x] = -1;
+        continue;
+      }
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const i = y0 * sw + x0;
+      const top = src[i] * (1 - fx) + src[i + 1] * fx;
+      const bottom = src[i + sw] * (1 - fx) + src[i + sw + 1] * fx;
+      out[y * width + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+  return out;
+}
+
+function warpToFrame(image, from, width, height, to) {
+  return warpIntensity(toIntensity(image), image.width, image.height, from, width, height, to);
+}
+
+// Separable square max/min filter of the given radius; `pick` is Math.max or Math.min
+function rankFilter(values, width, height, radius, pick) {
+  if (radius <= 0) return values;
+  const tmp = new values.constructor(values.length);
+  const out = new values.constructor(values.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let v = values[y * width + x];
+      for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) v = pick(v, values[y * width + k]);
+      tmp[y * width + x] = v;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let v = tmp[y * width + x];
+      for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) v = pick(v, tmp[k * width + x]);
+      out[y * width + x] = v;
+    }
+  }
+  return out;
+}
+
+// params: { threshold, radius, minArea }
+// A pixel is moving when it is brighter than every neighbour frame by at least
+// `threshold`, so returns that stay put cancel out. Neighbours are max-filtered
+// first so resampling jitter along stationary edges does not count as motion.
+// The mask is then opened (drops speckle) and closed (joins fragments).
+function runMotion(image, transform, neighbors, params) {
+  const { width, height } = image;
+  if (neighbors.length === 0) throw new Error('No neighbouring frames to compare against');
+  const intensity = toIntensity(image);
+  const diff = new Int16Array(width * height).fill(255);
+  for (const neighbor of neighbors) {
+    const warped = rankFilter(warpToFrame(neighbor.image, neighbor.transform, width, height, transform), width, height, 1, Math.max);
+    for (let idx = 0; idx < diff.length; idx++) {
+      // Outside a neighbour there is nothing to compare with
+      diff[idx] = warped[idx] < 0 ? 0 : Math.min(diff[idx], intensity[idx] - warped[idx]);
+    }
+  }
+
+  let mask = new Uint8Array(width * height);
+  for (let idx = 0; idx < mask.length; idx++) mask[idx] = diff[idx] >= params.threshold ? 1 : 0;
+  const radius = Math.max(0, Math.round(params.radius));
+  mask = rankFilter(rankFilter(mask, width, height, radius, Math.min), width, height, radius, Math.max);
+  mask = rankFilter(rankFilter(mask, width, height, radius, Math.max), width, height, radius, Math.min);
+  return labelBlobs(mask, width, height, Math.max(1, params.minArea || 1), (idx) => diff[idx]);
+}
+
+// ============================================================================
+// ROTATION
+// ============================================================================
+
+// Search levels: the first sweeps the whole range, each later one +-1 step of
+// the previous level around its best angle
+const ROTATION_LEVELS = [
+  { side: 96, step: 2 },  // px, longest side; degrees
+  { side: 256, step: 0.5 },
+  { side: 768, step: 0.05 },
+];
+
+// Box-filtered copy of the intensity at 1/factor resolution
+function downsample(intensity, width, height, factor) {
+  const w = Math.max(1, Math.floor(width / factor));
+  const h = Math.max(1, Math.floor(height / factor));
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < factor; dy++) {
+        for (let dx = 0; dx < factor; dx++) sum += intensity[(y * factor + dy) * width + x * factor + dx];
+      }
+      out[y * w + x] = sum / (factor * factor);
+    }
+  }
+  return { data: out, width: w, height: h };
+}
+
+// Downsampled intensity of `image` and its transform in the smaller pixels
+function pyramidLevel(image, transform, maxSide) {
+  const factor = Math.max(1, Math.ceil(Math.max(image.width, image.height) / maxSide));
+  return {
+    ...downsample(toIntensity(image), image.width, image.height, factor),
+    transform: {
+      rotationDeg: transform.rotationDeg,
+      dx: transform.dx / factor,
+      dy: transform.dy / factor,
+      pivotX: transform.pivotX / factor,
+      pivotY: transform.pivotY / factor,
+    },
+  };
+}
+
+// Normalized cross-correlation of `a` and `b`, over pixels where `b` is valid (>= 0)
+function ncc(a, b) {
+  let n = 0;
+  let sa = 0;
+  let sb = 0;
+  let saa = 0;
+  let sbb = 0;
+  let sab = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (b[i] < 0) continue;
+    n++;
+    sa += a[i];
+    sb += b[i];
+    saa += a[i] * a[i];
+    sbb += b[i] * b[i];
+    sab += a[i] * b[i];
+  }
+  if (n === 0) return 0;
+  const va = saa - (sa * sa) / n;
+  const vb = sbb - (sb * sb) / n;
+  return va > 1e-6 && vb > 1e-6 ? (sab - (sa * sb) / n) / Math.sqrt(va * vb) : 0;
+}
+
+// Brute-force search for the rotationDeg of `image` that best lines it up with
+// `reference`: a sweep of params.min..params.max on small copies, then finer
+// sweeps around the best angle at higher resolutions. A range covering the
+// full circle wraps, so the result is normalized to -180..180. The image keeps
+// the shift and pivot of `transform`. The score is the best NCC of the last level.
+function runRotation(image, transform, reference, referenceTransform, params) {
+  const circular = params.max - params.min >= 360;
+  const search = (maxSide, from, to, step) => {
+    const img = pyramidLevel(image, transform, maxSide);
+    const ref = pyramidLevel(reference, referenceTransform, maxSide);
+    const scores = [];
+    for (let deg = from; deg <= to + 1e-9; deg += step) {
+      const candidate = { ...img.transform, rotationDeg: deg };
+      const warped = warpIntensity(img.data, img.width, img.height, candidate, ref.width, ref.height, ref.transform);
+      scores.push(ncc(ref.data, warped));
+    }
+    const i = scores.indexOf(Math.max(...scores));
+    // Parabola through the peak and its neighbours for a sub-step estimate
+    let offset = 0;
+    if (i > 0 && i < scores.length - 1) {
+      const curvature = scores[i - 1] - 2 * scores[i] + scores[i + 1];
+      if (curvature < 0) offset = (0.5 * (scores[i - 1] - scores[i + 1])) / curvature;
+    }
+    return { rotationDeg: from + (i + offset) * step, score: scores[i] };
+  };
+  let best = null;
+  ROTATION_LEVELS.forEach(({ side, step }, level) => {
+    if (level === 0) {
+      best = search(side, params.min, params.max, step);
+      return;
+    }
+    const prevStep = ROTATION_LEVELS[level - 1].step;
+    let from = best.rotationDeg - prevStep;
+    let to = best.rotationDeg + prevStep;
+    if (!circular) {
+      from = Math.max(params.min, from);
+      to = Math.min(params.max, to);
+    }
+    best = search(side, from, to, step);
+  });
+  const rotationDeg = circular
+    ? ((((best.rotationDeg + 180) % 360) + 360) % 360) - 180
+    : Math.max(params.min, Math.min(params.max, best.rotationDeg));
+  return { rotationDeg: Math.round(rotationDeg * 100) / 100, score: best.score };
+}
+
+// ============================================================================
+// TEMPLATE MATCHING
+// ============================================================================
+
+const MATCH_TEMPLATE_SAMPLES = 32;  // larger boxes are subsampled to this many samples per side
+
+// Bilinear intensity at (x, y) in image px (pixel centers at px + 0.5), or null outside the image
+function sampleIntensity(intensity, width, height, x, y) {
+  const fx = x - 0.5;
+  const fy = y - 0.5;
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  if (x0 < 0 || y0 < 0 || x0 + 1 >= width || y0 + 1 >= height) return null;
+  const tx = fx - x0;
+  const ty = fy - y0;
+  const i = y0 * width + x0;
+  const top = intensity[i] * (1 - tx) + intensity[i + 1] * tx;
+  const bottom = intensity[i + width] * (1 - tx) + intensity[i + width + 1] * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+// Finds `box` of `image` in `target` by normalized cross-correlation. The
+// template is sampled through the rotation difference of the two transforms so
+// both cover the same patch of the scene. `center` is the predicted box center
+// in `target`'s image space, searched within params.radius px. Returns the best
+// center and its NCC (-1..1), or null if the template is flat or no candidate
+// fits inside the target.
+function runMatch(image, transform, box, target, targetTransform, center, params) {
+  const src = toIntensity(image);
+  const dst = toIntensity(target);
+  const radius = params.radius;
+  const step = Math.max(1, Math.max(box.w, box.h) / MATCH_TEMPLATE_SAMPLES);
+  const rad = ((transform.rotationDeg - targetTransform.rotationDeg) * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const cx = box.x + box.w / 2;
+  const cy = box.y + box.h / 2;
+  const offsetX = [];
+  const offsetY = [];
+  const template = [];
+  for (let ty = box.y + step / 2; ty < box.y + box.h; ty += step) {
+    for (let tx = box.x + step / 2; tx < box.x + box.w; tx += step) {
+      const v = sampleIntensity(src, image.width, image.height, tx, ty);
+      if (v == null) continue;
+      const dx = tx - cx;
+      const dy = ty - cy;
+      offsetX.push(dx * cos - dy * sin);
+      offsetY.push(dx * sin + dy * cos);
+      template.push(v);
+    }
+  }
+  const n = template.length;
+  if (n === 0) return null;
+  const mean = template.reduce((a, b) => a + b, 0) / n;
+  const centered = template.map((v) => v - mean);
+  const templateVar = centered.reduce((a, v) => a + v * v, 0);
+  if (templateVar < 1e-6) return null;
+
+  let best = null;
+  for (let v = -radius; v <= radius; v++) {
+    for (let u = -radius; u <= radius; u++) {
+      let sum = 0;
+      let sumSq = 0;
+      let cross = 0;
+      let inside = true;
+      for (let i = 0; i < n; i++) {
+        const s = sampleIntensity(dst, target.width, target.height, center.x + u + offsetX[i], center.y + v + offsetY[i]);
+        if (s == null) {
+          inside = false;
+          break;
+        }
+        sum += s;
+        sumSq += s * s;
+        cross += centered[i] * s;
+      }
+      if (!inside) continue;
+      const candidateVar = sumSq - (sum * sum) / n;
+      const score = candidateVar > 1e-6 ? cross / Math.sqrt(templateVar * candidateVar) : 0;
+      if (!best || score > best.score) best = { x: center.x + u, y: center.y + v, score };
+    }
+  }
+  return best;
+}
+
+// ============================================================================
+// SCAN CONVERSION
+// ============================================================================
+
+// Resamples a B-scope image into a width x height Cartesian image centered on
+// the radar, nearest neighbour; beyond the last range bin stays transparent.
+// `polar` is the frame's { rangeAxis, azimuthOrigin, sourceWidth, sourceHeight,
+// scale }, with `scale` Cartesian px per range bin. Bearings run clockwise from
+// up, as in RadarLabeler's PolarTransformer.
+function runScan(image, width, height, polar) {
+  const rangeAlongX = polar.rangeAxis === 'x';
+  const azimuthBins = rangeAlongX ? image.height : image.width;
+  const src = new Uint32Array(image.data.buffer, image.data.byteOffset, image.width * image.height);
+  const out = new ImageData(width, height);
+  const dst = new Uint32Array(out.data.buffer);
+  const cx = width / 2;
+  const cy = height / 2;
+  const binsPerRadian = azimuthBins / (2 * Math.PI);
+  const originBins = (polar.azimuthOrigin * azimuthBins) / 360;
+  for (let y = 0; y < height; y++) {
+    const dy = y + 0.5 - cy;
+    for (let x = 0; x < width; x++) {
+      const dx = x + 0.5 - cx;
+      const bin = Math.floor(Math.hypot(dx, dy) / polar.scale);
+      let azimuth = Math.atan2(dx, -dy) * binsPerRadian - originBins;
+      azimuth = Math.floor(((azimuth % azimuthBins) + azimuthBins) % azimuthBins);
+      const sx = rangeAlongX ? bin : azimuth;
+      const sy = rangeAlongX ? azimuth : bin;
+      if (sx >= image.width || sy >= image.height) continue;
+      dst[y * width + x] = src[sy * image.width + sx];
+    }
+  }
+  return out;
+}
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+const DETECTORS = {
+  cfar: (msg) => runCfar(msg.image, msg.params),
+  motion: (msg) => runMotion(msg.image, msg.transform, msg.neighbors, msg.params),
+  rotation: (msg) => runRotation(msg.image, msg.transform, msg.reference, msg.referenceTransform, msg.params),
+  match: (msg) =>
+    runMatch(msg.image, msg.transform, msg.box, msg.target, msg.targetTransform, msg.center, msg.params),
+  scan: (msg) => runScan(msg.image, msg.width, msg.height, msg.polar),
+};
+
+self.onmessage = (e) => {
+  const { id, type } = e.data;
+  try {
+    const detector = DETECTORS[type];
+    if (!detector) throw new Error(`Unknown detector: ${type}`);
+    const result = detector(e.data);
+    self.postMessage({ id, result }, result instanceof ImageData ? [result.data.buffer] : []);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
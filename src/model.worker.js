@@ -0,0 +1,151 @@
+// ONNX detection models for RadarLabeler, run with onnxruntime-web on the
+// CPU (WASM) backend off the main thread.
+//
+// Requests:
+//   { id, type: 'load', model: ArrayBuffer }
+//     -> { inputNames, outputNames }
+//   { id, type: 'detect', image: ImageData, params }
+//     -> [{ x, y, w, h, score, classIndex }] in the frame's image space
+// Responses are { id, result } or { id, error }.
+
+import * as ort from 'onnxruntime-web/wasm';
+
+// Multi-threaded WASM needs cross-origin isolation, which a plain static host lacks
+ort.env.wasm.numThreads = 1;
+
+const LETTERBOX_FILL = 114;  // grey padding, as used when training YOLO models
+const MIN_SCORE = 0.05;      // lower scores are dropped here; the UI filters the rest
+const MAX_DETECTIONS = 1000;
+
+let session = null;
+
+// ============================================================================
+// PRE-PROCESSING
+// ============================================================================
+
+// Scales the image to fit a size x size square, keeping its aspect ratio, and
+// centers it on grey padding. Returns an NCHW RGB tensor in 0..1 and the
+// mapping back to image pixels.
+function letterbox(image, size) {
+  const scale = Math.min(size / image.width, size / image.height);
+  const w = Math.round(image.width * scale);
+  const h = Math.round(image.height * scale);
+  const padX = Math.floor((size - w) / 2);
+  const padY = Math.floor((size - h) / 2);
+
+  const canvas = new OffscreenCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = `rgb(${LETTERBOX_FILL}, ${LETTERBOX_FILL}, ${LETTERBOX_FILL})`;
+  ctx.fillRect(0, 0, size, size);
+  const source = new OffscreenCanvas(image.width, image.height);
+  source.getContext('2d').putImageData(image, 0, 0);
+  ctx.drawImage(source, padX, padY, w, h);
+  const { data } = ctx.getImageData(0, 0, size, size);
+
+  const plane = size * size;
+  const input = new Float32Array(3 * plane);
+  for (let i = 0; i < plane; i++) {
+    input[i] = data[i * 4] / 255;
+    input[plane + i] = data[i * 4 + 1] / 255;
+    input[2 * plane + i] = data[i * 4 + 2] / 255;
+  }
+  return { tensor: new ort.Tensor('float32', input, [1, 3, size, size]), scale, padX, padY };
+}
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+// YOLO-style output [1, boxes, attrs] or [1, attrs, boxes] (YOLOv8 and later),
+// each box being cx, cy, w, h, [objectness,] class scores... in letterbox px.
+// `objectness` is true for YOLOv5-style heads.
+function decodeYolo(output, objectness) {
+  const [, d1, d2] = output.dims;
+  const data = output.data;
+  // There are always far more candidate boxes than attributes per box
+  const channelsFirst = d1 < d2;
+  const count = channelsFirst ? d2 : d1;
+  const attrs = channelsFirst ? d1 : d2;
+  const at = channelsFirst ? (box, attr) => data[attr * count + box] : (box, attr) => data[box * attrs + attr];
+  const firstClass = objectness ? 5 : 4;
+  if (attrs <= firstClass) throw new Error(`Unexpected model output shape [${output.dims.join(', ')}]`);
+
+  const detections = [];
+  for (let b = 0; b < count; b++) {
+    let best = 0;
+    let classIndex = 0;
+    for (let c = firstClass; c < attrs; c++) {
+      const v = at(b, c);
+      if (v > best) {
+        best = v;
+        classIndex = c - firstClass;
+      }
+    }
+    const score = objectness ? best * at(b, 4) : best;
+    if (score < MIN_SCORE) continue;
+    const w = at(b, 2);
+    const h = at(b, 3);
+    detections.push({ x: at(b, 0) - w / 2, y: at(b, 1) - h / 2, w, h, score, classIndex });
+  }
+  return detections;
+}
+
+function iou(a, b) {
+  const ix = Math.max(0, Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x));
+  const iy = Math.max(0, Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y));
+  const inter = ix * iy;
+  const union = a.w * a.h + b.w * b.h - inter;
+  return union > 0 ? inter / union : 0;
+}
+
+// Greedy per-class non-maximum suppression
+function nms(detections, iouThreshold) {
+  const kept = [];
+  for (const d of [...detections].sort((a, b) => b.score - a.score)) {
+    if (kept.some((k) => k.classIndex === d.classIndex && iou(k, d) > iouThreshold)) continue;
+    kept.push(d);
+    if (kept.length >= MAX_DETECTIONS) break;
+  }
+  return kept;
+}
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+async function load(msg) {
+  session = await ort.InferenceSession.create(new Uint8Array(msg.model), { executionProviders: ['wasm'] });
+  return { inputNames: session.inputNames, outputNames: session.outputNames };
+}
+
+// params: { size, iou, objectness }
+async function detect(msg) {
+  if (!session) throw new Error('No model loaded');
+  const { image, params } = msg;
+  const { tensor, scale, padX, padY } = letterbox(image, params.size);
+  const outputs = await session.run({ [session.inputNames[0]]: tensor });
+  const decoded = decodeYolo(outputs[session.outputNames[0]], params.objectness);
+  // Back from letterbox to image pixels, clipped to the image
+  return nms(decoded, params.iou)
+    .map((d) => {
+      const x0 = Math.max(0, (d.x - padX) / scale);
+      const y0 = Math.max(0, (d.y - padY) / scale);
+      const x1 = Math.min(image.width, (d.x + d.w - padX) / scale);
+      const y1 = Math.min(image.height, (d.y + d.h - padY) / scale);
+      return { x: x0, y: y0, w: x1 - x0, h: y1 - y0, score: d.score, classIndex: d.classIndex };
+    })
+    .filter((d) => d.w > 0 && d.h > 0);
+}
+
+const HANDLERS = { load, detect };
+
+self.onmessage = async (e) => {
+  const { id, type } = e.data;
+  try {
+    const handler = HANDLERS[type];
+    if (!handler) throw new Error(`Unknown request: ${type}`);
+    self.postMessage({ id, result: await handler(e.data) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -3,6 +3,10 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  // Pre-bundling would move onnxruntime-web away from its .wasm files
+  optimizeDeps: {
+    exclude: ['onnxruntime-web']
+  },
   server: {
     port: 5173,
     open: true